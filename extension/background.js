@@ -1,7 +1,7 @@
 // Background script for Picking Console Size Calculator
 // Makes direct HTTP requests to Rodeo and FC Research to fetch data
 
-const DEBUG = true;
+let DEBUG = PcsSettings.DEFAULTS.debug;
 
 function log(...args) {
   if (DEBUG) {
@@ -20,9 +20,538 @@ log('Picking Console Size Calculator - Background Script Starting');
 log('Using direct HTTP requests (no tab navigation needed)');
 log('='.repeat(50));
 
-// Cache for FN SKU weights to avoid redundant requests
+// User settings from the options page (lib/settings.js), kept current live
+let settings = { ...PcsSettings.DEFAULTS };
+const settingsReady = PcsSettings.load().then(applySettings);
+PcsSettings.onChange(applySettings);
+
+function applySettings(newSettings) {
+  settings = newSettings;
+  DEBUG = settings.debug;
+  RequestScheduler.configure({
+    concurrency: settings.concurrency,
+    requestsPerSecond: settings.requestsPerSecond,
+    maxRetries: settings.maxRetries,
+    debug: settings.debug
+  });
+  log('Settings applied:', JSON.stringify(settings));
+}
+
+// Development host override. When browser.storage.local has a hostOverride
+// origin (e.g. "http://localhost:8642"), Rodeo and FC Research requests go
+// there instead, so the extension can run against the local mock server.
+// The mock host is an optional permission granted on the options page.
+let hostOverride = null;
+
+const hostOverrideReady = browser.storage.local.get('hostOverride').then(stored => {
+  hostOverride = stored.hostOverride || null;
+  if (hostOverride) {
+    log(`Host override active: ${hostOverride}`);
+    syncMockContentScript();
+  }
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.hostOverride) {
+    hostOverride = changes.hostOverride.newValue || null;
+    log(`Host override changed: ${hostOverride || 'none'}`);
+    syncMockContentScript();
+  }
+});
+
+// The mock server's Picking Console page isn't in the manifest's content
+// scripts; register the Picking Console script for the override host instead,
+// once the user has granted access to it
+const MOCK_CONTENT_SCRIPT_ID = 'mock-picking-console';
+
+async function syncMockContentScript() {
+  try {
+    const registered = await browser.scripting.getRegisteredContentScripts({ ids: [MOCK_CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await browser.scripting.unregisterContentScripts({ ids: [MOCK_CONTENT_SCRIPT_ID] });
+    }
+    if (!hostOverride) return;
+
+    const { protocol, hostname } = new URL(hostOverride);
+    if (!(await browser.permissions.contains({ origins: [`${protocol}//${hostname}/*`] }))) {
+      logError(`No access to ${hostname} - save the host override on the options page to grant it`);
+      return;
+    }
+
+    const { js, css } = browser.runtime.getManifest().content_scripts[0];
+    await browser.scripting.registerContentScripts([{
+      id: MOCK_CONTENT_SCRIPT_ID,
+      matches: [`${protocol}//${hostname}/fc/*`],
+      js,
+      css,
+      runAt: 'document_idle'
+    }]);
+    log(`Picking Console script registered for ${hostname}`);
+  } catch (error) {
+    logError('Failed to register the mock Picking Console script:', error);
+  }
+}
+
+// Rewrite a production URL to the override origin, keeping path and query
+function resolveHost(url) {
+  if (!hostOverride) return url;
+  const parsed = new URL(url);
+  return hostOverride.replace(/\/$/, '') + parsed.pathname + parsed.search;
+}
+
+// Warehouse -> region, learned from the Picking Console tab each fetch comes
+// from and kept in browser.storage.local. Warehouses not seen yet use the
+// fallback region from settings.
+const WAREHOUSE_REGIONS_KEY = 'warehouseRegions';
+const warehouseRegions = new Map();
+
+browser.storage.local.get(WAREHOUSE_REGIONS_KEY).then(stored => {
+  for (const [warehouseId, region] of Object.entries(stored[WAREHOUSE_REGIONS_KEY] || {})) {
+    if (!warehouseRegions.has(warehouseId)) {
+      warehouseRegions.set(warehouseId, region);
+    }
+  }
+});
+
+function rememberWarehouseRegion(warehouseId, region) {
+  if (!warehouseId || !Regions.REGIONS[region] || warehouseRegions.get(warehouseId) === region) return;
+  log(`Warehouse ${warehouseId} is in region ${region}`);
+  warehouseRegions.set(warehouseId, region);
+  browser.storage.local.set({ [WAREHOUSE_REGIONS_KEY]: Object.fromEntries(warehouseRegions) })
+    .catch(error => logError('Failed to save warehouse regions:', error));
+}
+
+// Picking Console, Rodeo and FC Research hosts for a warehouse
+function hostsForWarehouse(warehouseId) {
+  return Regions.hosts(warehouseRegions.get(warehouseId) || settings.region);
+}
+
+// Persistent cache for FN SKU weights, backed by browser.storage.local so it
+// survives event page unloads and browser restarts. The Map mirrors storage in
+// least-recently-used order (oldest first) for cheap eviction.
+// Entries expire after settings.cacheMinutes.
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_KEY_PREFIX = 'weightCache:';
+
 const weightCache = new Map();
-const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+const weightCacheReady = warmWeightCache();
+
+// Cache hits only bump lastAccess in memory; the keys touched since the last
+// write are persisted together, on the next eviction pass or after a quiet spell
+const LAST_ACCESS_FLUSH_MS = 5000;
+const touchedCacheKeys = new Set();
+let lastAccessTimer = null;
+
+// Load unexpired entries from storage into memory on startup
+async function warmWeightCache() {
+  await settingsReady;
+
+  try {
+    const stored = await browser.storage.local.get(null);
+    const now = Date.now();
+    const entries = [];
+    const expiredKeys = [];
+
+    for (const [storageKey, entry] of Object.entries(stored)) {
+      if (!storageKey.startsWith(CACHE_KEY_PREFIX)) continue;
+      if (!entry || now - entry.timestamp >= cacheDurationMs()) {
+        expiredKeys.push(storageKey);
+        continue;
+      }
+      entries.push([storageKey.slice(CACHE_KEY_PREFIX.length), entry]);
+    }
+
+    entries.sort((a, b) => (a[1].lastAccess || 0) - (b[1].lastAccess || 0));
+    entries.forEach(([cacheKey, entry]) => weightCache.set(cacheKey, entry));
+
+    if (expiredKeys.length > 0) {
+      await browser.storage.local.remove(expiredKeys);
+    }
+    await evictLeastRecentlyUsed();
+
+    log(`Weight cache warmed: ${weightCache.size} entries loaded, ${expiredKeys.length} expired entries removed`);
+  } catch (error) {
+    logError('Failed to warm weight cache:', error);
+  }
+}
+
+function cacheDurationMs() {
+  return settings.cacheMinutes * 60 * 1000;
+}
+
+// Get a cached weight entry, or null if missing or expired
+async function getCachedWeight(cacheKey) {
+  await weightCacheReady;
+
+  const entry = weightCache.get(cacheKey);
+  if (!entry) return null;
+
+  if (Date.now() - entry.timestamp >= cacheDurationMs()) {
+    weightCache.delete(cacheKey);
+    browser.storage.local.remove(CACHE_KEY_PREFIX + cacheKey)
+      .catch(error => logError('Failed to remove expired cache entry:', error));
+    return null;
+  }
+
+  // Move to the most-recently-used end
+  entry.lastAccess = Date.now();
+  weightCache.delete(cacheKey);
+  weightCache.set(cacheKey, entry);
+  touchedCacheKeys.add(cacheKey);
+  if (lastAccessTimer === null) {
+    lastAccessTimer = setTimeout(() => {
+      flushLastAccess().catch(error => logError('Failed to persist cache access times:', error));
+    }, LAST_ACCESS_FLUSH_MS);
+  }
+
+  return entry;
+}
+
+// Write the entries read since the last flush in one storage call, so a warm
+// restart keeps their least-recently-used order
+async function flushLastAccess() {
+  clearTimeout(lastAccessTimer);
+  lastAccessTimer = null;
+  if (touchedCacheKeys.size === 0) return;
+
+  const items = {};
+  for (const cacheKey of touchedCacheKeys) {
+    const entry = weightCache.get(cacheKey);
+    if (entry) items[CACHE_KEY_PREFIX + cacheKey] = entry;
+  }
+  touchedCacheKeys.clear();
+  await browser.storage.local.set(items);
+}
+
+// Store a weight (and dimensions, if known) with where on the page it was
+// found, in memory and in storage, evicting old entries past the cap
+async function setCachedWeight(cacheKey, weight, dimensions = null, source = WEIGHT_SOURCES.TABLE) {
+  await weightCacheReady;
+
+  const now = Date.now();
+  const entry = { weight, dimensions, source, timestamp: now, lastAccess: now };
+  weightCache.delete(cacheKey);
+  weightCache.set(cacheKey, entry);
+
+  try {
+    await browser.storage.local.set({ [CACHE_KEY_PREFIX + cacheKey]: entry });
+    await evictLeastRecentlyUsed();
+  } catch (error) {
+    logError('Failed to persist cache entry:', error);
+  }
+}
+
+// Drop least-recently-used entries until the cache is within its size cap
+async function evictLeastRecentlyUsed() {
+  await flushLastAccess();
+
+  const evictedKeys = [];
+  for (const cacheKey of weightCache.keys()) {
+    if (weightCache.size - evictedKeys.length <= CACHE_MAX_ENTRIES) break;
+    evictedKeys.push(cacheKey);
+  }
+
+  if (evictedKeys.length === 0) return;
+
+  evictedKeys.forEach(cacheKey => weightCache.delete(cacheKey));
+  await browser.storage.local.remove(evictedKeys.map(cacheKey => CACHE_KEY_PREFIX + cacheKey));
+  log(`Evicted ${evictedKeys.length} least-recently-used cache entries`);
+}
+
+// Remove one cached weight from memory and storage
+async function deleteCachedWeight(cacheKey) {
+  await weightCacheReady;
+  weightCache.delete(cacheKey);
+  await browser.storage.local.remove(CACHE_KEY_PREFIX + cacheKey);
+}
+
+// Every cached weight plus every override, for the cache page. Entries are
+// keyed "warehouse:fnsku"; overrides without a cached weight are listed too.
+async function listCacheEntries() {
+  await Promise.all([weightCacheReady, weightOverridesReady]);
+
+  const entries = [...weightCache].map(([cacheKey, entry]) => {
+    const [warehouseId, fnsku] = cacheKey.split(':');
+    return {
+      key: cacheKey,
+      warehouseId,
+      fnsku,
+      weight: entry.weight,
+      dimensions: entry.dimensions || null,
+      source: entry.source || WEIGHT_SOURCES.TABLE,
+      timestamp: entry.timestamp,
+      fetchedAt: entry.fetchedAt || entry.timestamp,
+      expiresAt: entry.timestamp + cacheDurationMs()
+    };
+  });
+
+  return { entries, overrides: weightOverrides };
+}
+
+// Drop a cached weight and fetch it from FC Research again. Overrides are
+// left alone; this refreshes the value underneath them.
+async function refreshCachedWeight(cacheKey) {
+  const [warehouseId, fnsku] = cacheKey.split(':');
+  await deleteCachedWeight(cacheKey);
+
+  const result = await singleFlight(weightFlights, cacheKey,
+    flight => requestWeightFromFCResearch(fnsku, warehouseId, cacheKey, flight.signal));
+  if (result.errorType === ERROR_TYPES.AUTH) {
+    markSessionExpired('fcresearch', warehouseId);
+  }
+  return result;
+}
+
+// Merge an exported cache file (lib/cacheTransfer.js) into the cache and
+// overrides. Per FN SKU the newer fetch time wins; weights fetched longer ago
+// than CacheTransfer.MAX_IMPORT_AGE_MS are skipped as stale. Imported weights are
+// stamped with the import time so they last a full cache duration from now,
+// and keep their original fetch time in fetchedAt. Throws if the file can't be read.
+async function importCacheData(text) {
+  const data = CacheTransfer.parse(text);
+  await Promise.all([weightCacheReady, weightOverridesReady]);
+
+  const now = Date.now();
+  const cache = { added: 0, updated: 0, kept: 0, stale: 0 };
+  const changed = {};
+  for (const record of data.cache) {
+    const cacheKey = `${record.warehouseId}:${record.fnsku}`;
+    if (now - record.timestamp > CacheTransfer.MAX_IMPORT_AGE_MS) {
+      cache.stale++;
+      continue;
+    }
+
+    const existing = weightCache.get(cacheKey);
+    if (existing && (existing.fetchedAt || existing.timestamp) >= record.timestamp) {
+      cache.kept++;
+      continue;
+    }
+
+    const entry = {
+      weight: record.weight,
+      dimensions: record.dimensions,
+      source: record.source,
+      timestamp: now,
+      fetchedAt: record.timestamp,
+      lastAccess: now
+    };
+    weightCache.delete(cacheKey);
+    weightCache.set(cacheKey, entry);
+    changed[CACHE_KEY_PREFIX + cacheKey] = entry;
+    cache[existing ? 'updated' : 'added']++;
+  }
+
+  if (Object.keys(changed).length > 0) {
+    await browser.storage.local.set(changed);
+    await evictLeastRecentlyUsed();
+  }
+
+  const merged = await WeightOverrides.merge(data.overrides);
+  weightOverrides = merged.overrides;
+
+  log(`Imported cache: ${cache.added} added, ${cache.updated} updated, ${cache.kept} kept, ${cache.stale} stale; ` +
+    `overrides: ${merged.counts.added} added, ${merged.counts.updated} updated, ${merged.counts.kept} kept`);
+  return { cache, overrides: merged.counts, invalid: data.invalid + merged.counts.invalid };
+}
+
+// Pin an override from the cache page. Written here rather than in the page so
+// it queues behind any running import merge (see lib/weightOverrides.js).
+async function saveWeightOverride(raw) {
+  await weightOverridesReady;
+  const override = await WeightOverrides.save(raw);
+  weightOverrides = { ...weightOverrides, [WeightOverrides.key(override.warehouseId, override.fnsku)]: override };
+  return override;
+}
+
+async function removeWeightOverride(warehouseId, fnsku) {
+  await weightOverridesReady;
+  await WeightOverrides.remove(warehouseId, fnsku);
+  weightOverrides = { ...weightOverrides };
+  delete weightOverrides[WeightOverrides.key(warehouseId, fnsku)];
+}
+
+// Remove every cached weight from memory and storage
+async function clearWeightCache() {
+  await weightCacheReady;
+
+  const storageKeys = Object.keys(await browser.storage.local.get(null))
+    .filter(storageKey => storageKey.startsWith(CACHE_KEY_PREFIX));
+  weightCache.clear();
+  await browser.storage.local.remove(storageKeys);
+}
+
+// Heavy batch alert rules from the options page (lib/alertRules.js), kept current live
+let alertRules = [];
+const alertRulesReady = AlertRules.load().then(rules => {
+  alertRules = rules;
+});
+AlertRules.onChange(rules => {
+  alertRules = rules;
+  log(`Alert rules updated: ${rules.length} rules`);
+});
+
+// Manual weight overrides from the cache page (lib/weightOverrides.js), kept current live
+let weightOverrides = {};
+const weightOverridesReady = WeightOverrides.load().then(overrides => {
+  weightOverrides = overrides;
+});
+WeightOverrides.onChange(overrides => {
+  weightOverrides = overrides;
+  log(`Weight overrides updated: ${Object.keys(overrides).length} pinned`);
+});
+
+// Batches already notified, persisted so event page restarts don't repeat alerts
+const NOTIFIED_BATCHES_KEY = 'notifiedBatches';
+const NOTIFIED_RETENTION = 24 * 60 * 60 * 1000; // 24 hours
+
+// notificationId -> { tabId, timestamp }. The Map is the source of truth, so
+// batches finishing side by side can't overwrite each other's entries;
+// storage only carries it across event page restarts.
+const notifiedBatches = new Map();
+const notifiedBatchesReady = browser.storage.local.get(NOTIFIED_BATCHES_KEY).then(stored => {
+  for (const [id, entry] of Object.entries(stored[NOTIFIED_BATCHES_KEY] || {})) {
+    if (!notifiedBatches.has(id)) notifiedBatches.set(id, entry);
+  }
+}).catch(error => logError('Failed to load notified batches:', error));
+
+function saveNotifiedBatches() {
+  return browser.storage.local.set({ [NOTIFIED_BATCHES_KEY]: Object.fromEntries(notifiedBatches) });
+}
+
+// Fire one notification the first time a batch matches any alert rule
+async function checkBatchAlerts(result, context, tabId) {
+  if (result.error) return;
+  if (result.coverage < settings.minCoverage) {
+    log(`Batch ${result.batchId} is below the minimum coverage (${result.coverage}%), not checking alerts`);
+    return;
+  }
+
+  try {
+    await alertRulesReady;
+    const matched = AlertRules.match(alertRules, result, context);
+    if (matched.length === 0) return;
+
+    const notificationId = `batch:${context.warehouseId}:${result.batchId}`;
+    await notifiedBatchesReady;
+
+    // Check and claim without awaiting in between
+    const now = Date.now();
+    for (const [id, entry] of notifiedBatches) {
+      if (now - entry.timestamp > NOTIFIED_RETENTION) notifiedBatches.delete(id);
+    }
+
+    if (notifiedBatches.has(notificationId)) {
+      log(`Batch ${result.batchId} already notified, skipping`);
+      return;
+    }
+
+    notifiedBatches.set(notificationId, { tabId, timestamp: now });
+
+    log(`Batch ${result.batchId} matched ${matched.length} alert rules, notifying`);
+    const formatWeight = pounds => Measurements.formatWeight(pounds, settings.weightUnit);
+    try {
+      await browser.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-48.png'),
+        title: `Heavy batch ${result.batchId} in ${context.state || 'Picking Console'}`,
+        message: [
+          `${formatWeight(result.averageWeight)} avg, ${formatWeight(result.maxWeight)} max, ` +
+            `${formatWeight(result.totalWeight)} total (${result.totalItems} units)`,
+          ...matched.map(rule => AlertRules.describe(rule))
+        ].join('\n')
+      });
+    } catch (error) {
+      // Release the claim so the next refresh can try again
+      notifiedBatches.delete(notificationId);
+      throw error;
+    }
+    await saveNotifiedBatches();
+  } catch (error) {
+    logError('Batch alert check failed:', error);
+  }
+}
+
+// Clicking a notification focuses the Picking Console tab and scrolls to the batch row
+browser.notifications.onClicked.addListener(notificationId => {
+  if (!notificationId.startsWith('batch:')) return;
+  focusBatchRow(notificationId).catch(error => logError('Failed to focus batch row:', error));
+});
+
+async function focusBatchRow(notificationId) {
+  const [, warehouseId, batchId] = notificationId.split(':');
+  await notifiedBatchesReady;
+  const entry = notifiedBatches.get(notificationId);
+
+  let tab = null;
+  if (entry && entry.tabId !== null) {
+    tab = await browser.tabs.get(entry.tabId).catch(() => null);
+  }
+  if (!tab) {
+    // The original tab is gone; use any connected Picking Console tab for this warehouse
+    const match = [...connectedTabs].find(([, connected]) =>
+      connected.page === 'pickingConsole' && connected.warehouseId === warehouseId);
+    tab = match ? await browser.tabs.get(match[0]).catch(() => null) : null;
+  }
+  if (!tab) {
+    log(`No Picking Console tab open for ${warehouseId}`);
+    return;
+  }
+
+  await browser.tabs.update(tab.id, { active: true });
+  await browser.windows.update(tab.windowId, { focused: true });
+  await browser.tabs.sendMessage(tab.id, { type: 'scrollToBatch', batchId });
+  await browser.notifications.clear(notificationId);
+}
+
+// Store one fetch cycle's per-batch results plus floor-level aggregates,
+// then drop snapshots older than the retention window. Passing the timestamp
+// of an earlier snapshot replaces that cycle's snapshot instead of adding one.
+async function recordSnapshot({ warehouseId, state, pickProcess, batches, timestamp = null }) {
+  await settingsReady;
+
+  const snapshot = {
+    warehouseId,
+    state,
+    pickProcess: pickProcess || '',
+    timestamp: timestamp || Date.now(),
+    batches,
+    aggregate: summarizeBatches(batches)
+  };
+
+  await HistoryStore.add(snapshot);
+  log(`${timestamp ? 'Replaced' : 'Recorded'} ${state} snapshot for ${warehouseId}: ${batches.length} batches`);
+
+  const removed = await HistoryStore.prune(Date.now() - settings.historyRetentionHours * 60 * 60 * 1000);
+  if (removed > 0) {
+    log(`Pruned ${removed} snapshots past the ${settings.historyRetentionHours}h retention`);
+  }
+
+  return snapshot;
+}
+
+// Floor-level numbers for a snapshot; batches without a weight are counted but not averaged
+function summarizeBatches(batches) {
+  const weighed = batches.filter(b => b.averageWeight !== null && b.averageWeight !== undefined);
+  const totalWeight = weighed.reduce((sum, b) => sum + b.totalWeight, 0);
+  const averageBatchWeight = weighed.length > 0
+    ? weighed.reduce((sum, b) => sum + b.averageWeight, 0) / weighed.length
+    : null;
+
+  return {
+    batchCount: batches.length,
+    batchesWithWeight: weighed.length,
+    totalItems: weighed.reduce((sum, b) => sum + b.totalItems, 0),
+    totalWeight: Math.round(totalWeight * 100) / 100,
+    averageBatchWeight: averageBatchWeight === null ? null : Math.round(averageBatchWeight * 100) / 100
+  };
+}
+
+// Snapshots for the current retention window, oldest first
+async function getHistory(warehouseId, state, pickProcess) {
+  await settingsReady;
+  const since = Date.now() - settings.historyRetentionHours * 60 * 60 * 1000;
+  return HistoryStore.list(warehouseId, state, pickProcess || '', since);
+}
 
 // Listen for messages from content scripts
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -31,36 +560,154 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'contentScriptReady':
       log(`Content script ready: ${message.page} (warehouse: ${message.warehouseId})`);
-      updateBadge(true);
+      if (sender.tab) {
+        registerTab(sender.tab, message.page, message.warehouseId);
+      }
+      // Reaching a Rodeo or FC Research page means that session is good again
+      if (SERVICES[message.page]) {
+        markSessionValid(message.page);
+      }
       sendResponse({ status: 'ok' });
       return false;
 
     case 'fetchBatchData':
       log(`=== FETCH BATCH DATA: ${message.batchId} ===`);
-      handleFetchBatchData(message.batchId, message.warehouseId)
-        .then(result => {
-          log('fetchBatchData result:', JSON.stringify(result, null, 2));
-          sendResponse(result);
-        })
+      runBatchJob(message, sender.tab ? sender.tab.id : null)
+        .then(result => sendResponse(result))
         .catch(error => {
           logError('fetchBatchData error:', error);
           sendResponse({ error: error.message });
         });
       return true; // Keep channel open for async response
 
+    case 'lookupSku':
+      log(`=== LOOKUP SKU: ${message.fnsku} ===`);
+      lookupSku(message.fnsku, message.warehouseId, message.region)
+        .then(result => sendResponse(result))
+        .catch(error => {
+          logError('lookupSku error:', error);
+          sendResponse({ fnsku: message.fnsku, weight: null, error: error.message });
+        });
+      return true;
+
+    case 'openLogin':
+      log(`=== OPEN LOGIN: ${message.service} ===`);
+      openLoginPage(message.service)
+        .then(opened => sendResponse({ opened }))
+        .catch(error => {
+          logError('openLogin error:', error);
+          sendResponse({ opened: false, error: error.message });
+        });
+      return true;
+
+    case 'cancelFetch':
+      log(`=== CANCEL FETCH: ${(message.jobIds || []).length} jobs ===`);
+      sendResponse({ cancelled: cancelFetchJobs(message.jobIds || []) });
+      return false;
+
+    case 'getCacheEntries':
+      listCacheEntries()
+        .then(listing => sendResponse({ ...listing, cacheMinutes: settings.cacheMinutes }))
+        .catch(error => {
+          logError('getCacheEntries error:', error);
+          sendResponse({ error: error.message, entries: [], overrides: {} });
+        });
+      return true;
+
+    case 'refreshCacheEntry':
+      log(`Refreshing cache entry ${message.key}`);
+      refreshCachedWeight(message.key)
+        .then(result => sendResponse(result))
+        .catch(error => {
+          logError('refreshCacheEntry error:', error);
+          sendResponse({ weight: null, error: error.message });
+        });
+      return true;
+
+    case 'deleteCacheEntry':
+      log(`Deleting cache entry ${message.key}`);
+      deleteCachedWeight(message.key)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          logError('deleteCacheEntry error:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+
+    case 'saveOverride':
+      log(`Saving override for ${message.override.fnsku}`);
+      saveWeightOverride(message.override)
+        .then(override => sendResponse({ override }))
+        .catch(error => {
+          logError('saveOverride error:', error);
+          sendResponse({ error: error.message, fields: error.fields || null });
+        });
+      return true;
+
+    case 'removeOverride':
+      log(`Removing override for ${message.fnsku}`);
+      removeWeightOverride(message.warehouseId, message.fnsku)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          logError('removeOverride error:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+
+    case 'importCache':
+      log('=== IMPORT CACHE ===');
+      importCacheData(message.text)
+        .then(summary => sendResponse(summary))
+        .catch(error => {
+          logError('importCache error:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+
     case 'clearCache':
       log('Clearing cache...');
-      weightCache.clear();
-      log('Cache cleared. New size:', weightCache.size);
-      sendResponse({ success: true });
-      return false;
+      clearWeightCache()
+        .then(() => {
+          log('Cache cleared. New size:', weightCache.size);
+          sendResponse({ success: true });
+        })
+        .catch(error => {
+          logError('clearCache error:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+
+    case 'recordSnapshot':
+      recordSnapshot(message)
+        .then(snapshot => sendResponse({ success: true, timestamp: snapshot.timestamp, aggregate: snapshot.aggregate }))
+        .catch(error => {
+          logError('recordSnapshot error:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+
+    case 'getHistory':
+      getHistory(message.warehouseId, message.state, message.pickProcess)
+        .then(snapshots => sendResponse({ snapshots }))
+        .catch(error => {
+          logError('getHistory error:', error);
+          sendResponse({ error: error.message, snapshots: [] });
+        });
+      return true;
 
     case 'getStatus':
-      sendResponse({
-        cacheSize: weightCache.size,
-        ready: true
+      Promise.all([weightCacheReady, connectedTabsReady]).then(() => {
+        sendResponse({
+          cacheSize: weightCache.size,
+          connectedTabs: connectedTabsByPage(),
+          requests: RequestScheduler.getState(),
+          expiredSessions: Object.fromEntries(
+            [...expiredSessions].map(([service, session]) => [service, { ...session, name: SERVICES[service].name }])
+          ),
+          ready: true
+        });
       });
-      return false;
+      return true;
 
     default:
       log('Unknown message type:', message.type);
@@ -68,8 +715,472 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// Main workflow: fetch all data for a batch
-async function handleFetchBatchData(batchId, warehouseId) {
+// Streaming batch jobs: the Picking Console opens one 'batchJob' port per
+// batch and sends { type: 'start', ...fetchBatchData fields }. The background
+// posts { type: 'progress' } events while the batch resolves, then one
+// { type: 'result' }. Closing the port (tab closed or reloaded) cancels the job.
+browser.runtime.onConnect.addListener(port => {
+  if (port.name !== 'batchJob') return;
+
+  let jobId = null;
+  let finished = false;
+
+  port.onMessage.addListener(message => {
+    if (message.type !== 'start' || jobId) return;
+    jobId = message.jobId;
+    log(`=== BATCH JOB: ${message.batchId} (${jobId}) ===`);
+
+    const tabId = port.sender && port.sender.tab ? port.sender.tab.id : null;
+    runBatchJob(message, tabId, progress => postToPort(port, { type: 'progress', ...progress }))
+      .catch(error => {
+        logError('Batch job error:', error);
+        return { batchId: message.batchId, error: error.message };
+      })
+      .then(result => {
+        finished = true;
+        postToPort(port, { type: 'result', result });
+      });
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (jobId && !finished) {
+      log(`Batch job port closed before ${jobId} finished, cancelling`);
+      cancelFetchJobs([jobId]);
+    }
+  });
+});
+
+// Post to a port that the other side may have closed in the meantime
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    log(`Port closed, dropping ${message.type} message`);
+  }
+}
+
+// Fetch one batch for a fetchBatchData message or batchJob port, then check
+// its alert rules. onProgress, if given, receives streaming progress events.
+// Requests for a batch that is already being fetched, from any tab or the
+// popup, join that fetch instead of starting another.
+async function runBatchJob(message, tabId, onProgress = null) {
+  rememberWarehouseRegion(message.warehouseId, message.region);
+  const key = `${message.warehouseId}:${message.batchId}`;
+  try {
+    return await singleFlight(batchFlights, key, flight => fetchAndShareBatch(message, tabId, flight), {
+      signal: startFetchJob(message.jobId),
+      onProgress,
+      tabId
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      log(`Batch job ${message.jobId} cancelled`);
+      return { batchId: message.batchId, cancelled: true };
+    }
+    throw error;
+  } finally {
+    fetchJobs.delete(message.jobId);
+  }
+}
+
+// The work behind one batch flight: fetch the batch, check its alerts once,
+// and hand the result to the warehouse's other Picking Console tabs
+async function fetchAndShareBatch(message, tabId, flight) {
+  const result = await handleFetchBatchData(message.batchId, message.warehouseId, flight.signal, flight.emit);
+  if (result.cancelled) return result;
+
+  checkBatchAlerts(result, {
+    warehouseId: message.warehouseId,
+    state: message.state,
+    pickProcess: message.pickProcess
+  }, tabId);
+  if (!result.error) {
+    shareBatchResult(message.warehouseId, result, flight.tabIds);
+  }
+  return result;
+}
+
+// Send a fetched batch to every connected Picking Console tab of the warehouse
+// that didn't ask for it, so those tabs don't fetch it again
+function shareBatchResult(warehouseId, result, requestingTabIds) {
+  const tabIds = [...connectedTabs]
+    .filter(([tabId, entry]) =>
+      entry.page === 'pickingConsole' && entry.warehouseId === warehouseId && !requestingTabIds.has(tabId))
+    .map(([tabId]) => tabId);
+  if (tabIds.length === 0) return;
+
+  log(`Sharing batch ${result.batchId} with ${tabIds.length} other tabs`);
+  for (const tabId of tabIds) {
+    browser.tabs.sendMessage(tabId, { type: 'batchResult', warehouseId, batchId: result.batchId, result })
+      .catch(error => log(`Could not share batch ${result.batchId} with tab ${tabId}: ${error.message}`));
+  }
+}
+
+// Typed fetch failures. Batch results carry errorType so the UI can react to
+// the cause, e.g. offer a sign-in button when a session has expired.
+const ERROR_TYPES = {
+  AUTH: 'auth',
+  NOT_FOUND: 'notFound',
+  RATE_LIMITED: 'rateLimited',
+  PARSE: 'parse',
+  NETWORK: 'network'
+};
+
+// Services the background fetches from, with the regional host key for each
+const SERVICES = {
+  rodeo: { name: 'Rodeo', hostKey: 'rodeo' },
+  fcresearch: { name: 'FC Research', hostKey: 'fcResearch' }
+};
+
+// Midway and other sign-in pages we may be redirected to
+const LOGIN_URL_PATTERN = /midway|\/login|sign-?in/i;
+// A password field, or a form whose id or action is a login endpoint
+const LOGIN_FORM_PATTERN = /<input\b[^>]*\btype=["']?password\b|<form\b[^>]*\b(?:id|action)=["'][^"']*(?:login|sign-?in)/i;
+
+function typedError(type, service, message) {
+  const error = new Error(message);
+  error.type = type;
+  error.service = service;
+  return error;
+}
+
+// Fetch a Rodeo or FC Research page through the request queue and return its
+// HTML. Throws a typed error for network failures, error statuses, login
+// pages and bodies shorter than minLength.
+async function fetchServicePage(service, url, options, minLength) {
+  const name = SERVICES[service].name;
+  await hostOverrideReady;
+  url = resolveHost(url);
+
+  let response;
+  try {
+    response = await RequestScheduler.schedule(url, options);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw typedError(ERROR_TYPES.NETWORK, service, `Could not reach ${name}`);
+  }
+
+  log(`${name} response status: ${response.status}`);
+  const html = await response.text();
+  log(`${name} response length: ${html.length} chars`);
+
+  if (response.status === 401 || response.status === 403) {
+    throw typedError(ERROR_TYPES.AUTH, service, `${name} session expired - sign in again`);
+  }
+  if (response.status === 404) {
+    throw typedError(ERROR_TYPES.NOT_FOUND, service, `${name} returned not found`);
+  }
+  if (response.status === 429) {
+    throw typedError(ERROR_TYPES.RATE_LIMITED, service, `${name} is rate limiting requests - try again shortly`);
+  }
+  if (!response.ok) {
+    throw typedError(ERROR_TYPES.NETWORK, service, `${name} returned HTTP ${response.status}`);
+  }
+  // A successful response can still be the sign-in page we were redirected to.
+  // Only a login form counts: ordinary pages carry "Sign in" links too.
+  if ((response.redirected && LOGIN_URL_PATTERN.test(response.url)) || LOGIN_FORM_PATTERN.test(html)) {
+    throw typedError(ERROR_TYPES.AUTH, service, `${name} session expired - sign in again`);
+  }
+  if (html.length < minLength) {
+    throw typedError(ERROR_TYPES.PARSE, service, `${name} returned an unexpected page`);
+  }
+
+  return html;
+}
+
+// Batch result for a typed failure; an auth failure also flags the session
+function batchError(batchId, warehouseId, error) {
+  if (error.type === ERROR_TYPES.AUTH) {
+    markSessionExpired(error.service, warehouseId);
+  }
+  return { batchId, error: error.message, errorType: error.type, service: error.service };
+}
+
+// Services whose session has expired: service -> { loginUrl, since }.
+// Shown by the panel and popup; cleared once a request succeeds again.
+const expiredSessions = new Map();
+
+function markSessionExpired(service, warehouseId) {
+  if (expiredSessions.has(service)) return;
+  const host = hostsForWarehouse(warehouseId)[SERVICES[service].hostKey];
+  expiredSessions.set(service, { loginUrl: resolveHost(`https://${host}/${warehouseId}`), since: Date.now() });
+  logError(`${SERVICES[service].name} session expired`);
+  updateBadge();
+}
+
+// Clear an expired session and tell open tabs so they retry their failed batches
+function markSessionValid(service) {
+  if (!expiredSessions.has(service)) return;
+  expiredSessions.delete(service);
+  log(`${SERVICES[service].name} session restored`);
+  updateBadge();
+  broadcastToTabs({ type: 'sessionRestored', service });
+}
+
+async function broadcastToTabs(message) {
+  const tabs = await browser.tabs.query({});
+  for (const tab of tabs) {
+    // Tabs without one of our content scripts reject; that's expected
+    browser.tabs.sendMessage(tab.id, message).catch(() => {});
+  }
+}
+
+// Sign-in tabs opened from the panel or popup: tabId -> service
+const loginTabs = new Map();
+
+// Open the service's page for the expired session; Midway redirects through sign-in and back
+async function openLoginPage(service) {
+  const session = expiredSessions.get(service);
+  if (!session) return false;
+
+  const tab = await browser.tabs.create({ url: session.loginUrl });
+  loginTabs.set(tab.id, service);
+  log(`Opened ${SERVICES[service].name} sign-in in tab ${tab.id}`);
+  return true;
+}
+
+// A sign-in tab that finishes loading a non-login page on the service's
+// origin means the user signed back in
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  const service = loginTabs.get(tabId);
+  if (!service || changeInfo.status !== 'complete' || !tab.url) return;
+
+  const session = expiredSessions.get(service);
+  if (!session) {
+    loginTabs.delete(tabId);
+    return;
+  }
+
+  if (new URL(tab.url).origin === new URL(session.loginUrl).origin && !LOGIN_URL_PATTERN.test(tab.url)) {
+    loginTabs.delete(tabId);
+    markSessionValid(service);
+  }
+});
+
+browser.tabs.onRemoved.addListener(tabId => loginTabs.delete(tabId));
+
+// Tabs running one of our content scripts: tabId -> { page, warehouseId, url,
+// title, since }. Registered by contentScriptReady and dropped when the tab
+// closes or stops answering a ping after a navigation. Kept in
+// browser.storage.local so an event page restart doesn't forget open tabs.
+const CONNECTED_TABS_KEY = 'connectedTabs';
+const PAGE_TYPES = ['pickingConsole', 'rodeo', 'fcresearch'];
+const connectedTabs = new Map();
+const connectedTabsReady = restoreConnectedTabs();
+
+// Reload the registry, keeping only tabs that are still open
+async function restoreConnectedTabs() {
+  try {
+    const stored = (await browser.storage.local.get(CONNECTED_TABS_KEY))[CONNECTED_TABS_KEY] || {};
+    const openTabIds = new Set((await browser.tabs.query({})).map(tab => tab.id));
+
+    for (const [tabId, entry] of Object.entries(stored)) {
+      if (openTabIds.has(Number(tabId)) && !connectedTabs.has(Number(tabId))) {
+        connectedTabs.set(Number(tabId), entry);
+      }
+    }
+    if (connectedTabs.size !== Object.keys(stored).length) {
+      saveConnectedTabs();
+    }
+    log(`Tab registry restored: ${connectedTabs.size} connected tabs`);
+  } catch (error) {
+    logError('Failed to restore connected tabs:', error);
+  }
+  updateBadge();
+}
+
+function saveConnectedTabs() {
+  browser.storage.local.set({ [CONNECTED_TABS_KEY]: Object.fromEntries(connectedTabs) })
+    .catch(error => logError('Failed to save connected tabs:', error));
+}
+
+function registerTab(tab, page, warehouseId) {
+  if (!PAGE_TYPES.includes(page)) return;
+  connectedTabs.set(tab.id, {
+    page,
+    warehouseId: warehouseId || null,
+    url: tab.url || null,
+    title: tab.title || null,
+    since: Date.now()
+  });
+  log(`Tab ${tab.id} connected: ${page} (${warehouseId})`);
+  saveConnectedTabs();
+  updateBadge();
+}
+
+function unregisterTab(tabId, reason) {
+  if (!connectedTabs.delete(tabId)) return;
+  log(`Tab ${tabId} disconnected (${reason})`);
+  saveConnectedTabs();
+  updateBadge();
+}
+
+// Connected tabs grouped by page type, for getStatus and the popup
+function connectedTabsByPage() {
+  const groups = Object.fromEntries(PAGE_TYPES.map(page => [page, []]));
+  for (const [tabId, entry] of connectedTabs) {
+    groups[entry.page].push({ tabId, ...entry });
+  }
+  return groups;
+}
+
+// Waits before each repeated ping of a tab that has just loaded: its
+// document_idle content script may not be listening yet
+const VERIFY_RETRY_DELAYS_MS = [250, 500, 1000];
+
+// After a registered tab finishes loading, ask its content script who it is.
+// No answer after the retries means the tab navigated away from our pages; an
+// answer picks up in-page navigation (the Picking Console is a single-page app).
+async function verifyTab(tabId, tab) {
+  const registered = connectedTabs.get(tabId);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const reply = await browser.tabs.sendMessage(tabId, { type: 'ping' });
+      const entry = connectedTabs.get(tabId);
+      if (!reply || !entry) return;
+      Object.assign(entry, {
+        page: PAGE_TYPES.includes(reply.page) ? reply.page : entry.page,
+        warehouseId: reply.warehouseId || entry.warehouseId,
+        url: tab.url || entry.url,
+        title: tab.title || entry.title
+      });
+      saveConnectedTabs();
+      return;
+    } catch (error) {
+      // The reloaded content script registered itself again meanwhile
+      if (connectedTabs.get(tabId) !== registered) return;
+      if (attempt >= VERIFY_RETRY_DELAYS_MS.length) break;
+      await new Promise(resolve => setTimeout(resolve, VERIFY_RETRY_DELAYS_MS[attempt]));
+    }
+  }
+  unregisterTab(tabId, 'navigated away');
+}
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !connectedTabs.has(tabId)) return;
+  verifyTab(tabId, tab);
+});
+
+browser.tabs.onRemoved.addListener(tabId => unregisterTab(tabId, 'closed'));
+
+// In-flight fetch jobs, keyed by the job ID the content script sends with
+// fetchBatchData. Cancelling a job aborts its queued and running requests.
+const fetchJobs = new Map();
+
+// Register a job and return the AbortSignal its requests should carry
+function startFetchJob(jobId) {
+  const controller = new AbortController();
+  if (jobId) {
+    fetchJobs.set(jobId, controller);
+  }
+  return controller.signal;
+}
+
+// Abort the given jobs. Returns how many were still running.
+function cancelFetchJobs(jobIds) {
+  let cancelled = 0;
+  for (const jobId of jobIds) {
+    const controller = fetchJobs.get(jobId);
+    if (controller) {
+      controller.abort();
+      fetchJobs.delete(jobId);
+      cancelled++;
+    }
+  }
+  log(`Cancelled ${cancelled} of ${jobIds.length} fetch jobs`);
+  return cancelled;
+}
+
+// In-flight lookups shared by every caller asking for the same key:
+// `${warehouseId}:${batchId}` for batches, `${warehouseId}:${fnsku}` for weights
+const batchFlights = new Map();
+const weightFlights = new Map();
+
+// Single-flight: the first caller for a key starts run(flight); callers that
+// arrive while it is underway wait on the same promise. Each caller keeps its
+// own AbortSignal, and the shared work is only aborted once every caller has
+// cancelled. onProgress receives flight.emit events, starting with the latest
+// one for late joiners.
+function singleFlight(flights, key, run, { signal = null, onProgress = null, tabId = null } = {}) {
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  let flight = flights.get(key);
+  if (flight) {
+    log(`Joining in-flight request for ${key}`);
+  } else {
+    const controller = new AbortController();
+    flight = {
+      controller,
+      signal: controller.signal,
+      waiters: 0,
+      tabIds: new Set(),
+      listeners: new Set(),
+      lastProgress: null,
+      emit(progress) {
+        flight.lastProgress = progress;
+        flight.listeners.forEach(listener => listener(progress));
+      }
+    };
+    flights.set(key, flight);
+    flight.promise = run(flight).finally(() => {
+      if (flights.get(key) === flight) flights.delete(key);
+    });
+  }
+
+  flight.waiters++;
+  if (tabId !== null) flight.tabIds.add(tabId);
+  if (onProgress) {
+    flight.listeners.add(onProgress);
+    if (flight.lastProgress) onProgress(flight.lastProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    function leave() {
+      settled = true;
+      flight.waiters--;
+      if (onProgress) flight.listeners.delete(onProgress);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    function onAbort() {
+      if (settled) return;
+      leave();
+      if (flight.waiters === 0) {
+        // Nobody wants the result any more; new callers start a fresh flight
+        if (flights.get(key) === flight) flights.delete(key);
+        flight.controller.abort();
+      }
+      reject(signal.reason);
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort);
+    flight.promise.then(
+      value => {
+        if (settled) return;
+        leave();
+        resolve(value);
+      },
+      error => {
+        if (settled) return;
+        leave();
+        reject(error);
+      }
+    );
+  });
+}
+
+function isAbortError(error) {
+  return error && error.name === 'AbortError';
+}
+
+// Main workflow: fetch all data for a batch. onProgress, if given, is called
+// once Rodeo returns and again as each FN SKU's weight resolves, with
+// { batchId, stage, totalItems, uniqueSKUs, resolvedSKUs, itemsWithWeight, partialAverage }.
+async function handleFetchBatchData(batchId, warehouseId, signal = null, onProgress = null) {
   log('='.repeat(50));
   log(`STARTING BATCH DATA FETCH`);
   log(`Batch ID: ${batchId}`);
@@ -77,22 +1188,43 @@ async function handleFetchBatchData(batchId, warehouseId) {
   log('='.repeat(50));
 
   try {
-    // Step 1: Get FN SKUs from Rodeo via direct HTTP request
-    log('--- STEP 1: Fetching FN SKUs from Rodeo ---');
-    const rodeoResult = await fetchFNSKUsFromRodeo(batchId, warehouseId);
-    log('Rodeo result:', JSON.stringify(rodeoResult, null, 2));
+    // Step 1: Get shipment rows from Rodeo via direct HTTP request
+    log('--- STEP 1: Fetching shipment rows from Rodeo ---');
+    const rodeoResult = await fetchRodeoRows(batchId, warehouseId, signal);
+    log(`Rodeo result: ${rodeoResult.rows.length} rows`);
 
     if (rodeoResult.error) {
       logError('Rodeo fetch failed:', rodeoResult.error);
-      return { error: `Rodeo error: ${rodeoResult.error}` };
+      return batchError(batchId, warehouseId, typedError(rodeoResult.errorType, 'rodeo', rodeoResult.error));
+    }
+    markSessionValid('rodeo');
+
+    // Keep only rows whose Pick Batch ID matches; the search key can match other
+    // shipments. Without that column (e.g. the fallback search URL) the rows
+    // can't be told apart, so keep them all: the search was for this batch.
+    const hasBatchColumn = rodeoResult.rows.some(row => row.pickBatchId !== undefined);
+    const batchRows = hasBatchColumn
+      ? rodeoResult.rows.filter(row => row.pickBatchId === String(batchId))
+      : rodeoResult.rows;
+    const discardedRows = rodeoResult.rows.length - batchRows.length;
+    if (!hasBatchColumn && batchRows.length > 0) {
+      log('Rodeo results have no Pick Batch ID column, keeping every row of the batch search');
+    }
+    if (discardedRows > 0) {
+      log(`Discarded ${discardedRows} Rodeo rows from other pick batches`);
     }
 
-    const fnskus = rodeoResult.fnskus || [];
+    const fnskus = expandRowsToUnits(batchRows);
     log(`Found ${fnskus.length} FN SKUs:`, fnskus.slice(0, 10), fnskus.length > 10 ? '...' : '');
+    if (rodeoResult.truncated) {
+      log(`WARNING: Rodeo results truncated (${rodeoResult.rowsSeen} of ${rodeoResult.resultSize} rows)`);
+    }
 
     if (fnskus.length === 0) {
       logError('No FN SKUs found for batch:', batchId);
-      return { error: 'No FN SKUs found for this batch in Rodeo' };
+      const detail = discardedRows > 0 ? ` (${discardedRows} rows belonged to other batches)` : '';
+      const error = typedError(ERROR_TYPES.NOT_FOUND, 'rodeo', `No FN SKUs found for this batch in Rodeo${detail}`);
+      return { ...batchError(batchId, warehouseId, error), discardedRows };
     }
 
     // Step 2: Get weights for each unique FN SKU via direct HTTP requests
@@ -100,30 +1232,48 @@ async function handleFetchBatchData(batchId, warehouseId) {
     const uniqueFNSKUs = [...new Set(fnskus)];
     log(`Unique FN SKUs to fetch: ${uniqueFNSKUs.length}`);
 
-    // Fetch weights in parallel (with some concurrency limit)
-    const CONCURRENCY = 5;
-    const weightResults = [];
+    const progress = createProgressTracker(batchId, fnskus, onProgress);
+    progress.rodeoDone();
 
-    for (let i = 0; i < uniqueFNSKUs.length; i += CONCURRENCY) {
-      const batch = uniqueFNSKUs.slice(i, i + CONCURRENCY);
-      const batchResults = await Promise.all(
-        batch.map(fnsku => fetchWeightFromFCResearch(fnsku, warehouseId))
-      );
-      weightResults.push(...batchResults);
-      log(`Fetched weights ${i + 1}-${Math.min(i + CONCURRENCY, uniqueFNSKUs.length)} of ${uniqueFNSKUs.length}`);
+    // Request every weight at once; RequestScheduler enforces concurrency,
+    // per-host rate limits and retries across all batches
+    const weightResults = await Promise.all(
+      uniqueFNSKUs.map(fnsku => fetchWeightFromFCResearch(fnsku, warehouseId, signal)
+        .then(result => {
+          progress.resolved(result);
+          return result;
+        }))
+    );
+    log(`Fetched weights for ${uniqueFNSKUs.length} FN SKUs`);
+    // Every weight may have come from the cache; don't report a cancelled job
+    if (signal) signal.throwIfAborted();
+
+    // An expired FC Research session fails every lookup; report that instead of partial stats
+    const authFailure = weightResults.find(result => result.errorType === ERROR_TYPES.AUTH);
+    if (authFailure) {
+      return batchError(batchId, warehouseId, typedError(ERROR_TYPES.AUTH, 'fcresearch', authFailure.error));
+    }
+    if (weightResults.some(result => result.weight !== null && !result.fromCache)) {
+      markSessionValid('fcresearch');
     }
 
-    // Build a map of FNSKU -> weight
-    log('--- STEP 3: Building weight map ---');
+    // Build maps of FNSKU -> weight, weight source and dimensions
+    log('--- STEP 3: Building weight and dimension maps ---');
     const weightMap = new Map();
+    const sourceMap = new Map();
+    const dimensionMap = new Map();
     uniqueFNSKUs.forEach((fnsku, index) => {
       const result = weightResults[index];
       if (result && result.weight !== null && result.weight !== undefined) {
         weightMap.set(fnsku, result.weight);
+        sourceMap.set(fnsku, result.source || WEIGHT_SOURCES.TABLE);
         log(`  ${fnsku} -> ${result.weight} lbs`);
       } else {
         log(`  ${fnsku} -> NO WEIGHT FOUND`);
       }
+      if (result && result.dimensions) {
+        dimensionMap.set(fnsku, result.dimensions);
+      }
     });
 
     // Step 4: Calculate statistics
@@ -136,7 +1286,11 @@ async function handleFetchBatchData(batchId, warehouseId) {
 
     if (weights.length === 0) {
       logError('Could not retrieve weights for any items');
-      return { error: 'Could not retrieve weights for any items from FC Research' };
+      const failure = weightResults.find(result => result.errorType);
+      const message = 'Could not retrieve weights for any items from FC Research';
+      return batchError(batchId, warehouseId, failure
+        ? typedError(failure.errorType, 'fcresearch', `${message} (${failure.error})`)
+        : typedError(ERROR_TYPES.PARSE, 'fcresearch', message));
     }
 
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
@@ -144,168 +1298,521 @@ async function handleFetchBatchData(batchId, warehouseId) {
     const minWeight = Math.min(...weights);
     const maxWeight = Math.max(...weights);
 
+    const volumeStats = calculateVolumeStats(fnskus, dimensionMap);
+    const quality = assessWeightQuality(fnskus, weightMap, sourceMap);
+    const lines = buildSkuLines(batchRows, weightMap, warehouseId, quality);
+    if (quality.flags.length > 0) {
+      log(`Data-quality flags: ${quality.flags.join(', ')} (${quality.coverage}% coverage)`);
+    }
+    if (quality.overrideSKUs.length > 0) {
+      log(`Manual overrides used for: ${quality.overrideSKUs.join(', ')}`);
+    }
+
     const result = {
       batchId,
       totalItems: fnskus.length,
       itemsWithWeight: weights.length,
+      coverage: quality.coverage,
+      quality: {
+        flags: quality.flags,
+        missingItems: quality.missingItems,
+        fallbackSKUs: quality.fallbackSKUs,
+        outlierSKUs: quality.outlierSKUs,
+        overrideSKUs: quality.overrideSKUs
+      },
       averageWeight: Math.round(averageWeight * 100) / 100,
       totalWeight: Math.round(totalWeight * 100) / 100,
       minWeight: Math.round(minWeight * 100) / 100,
       maxWeight: Math.round(maxWeight * 100) / 100,
-      uniqueSKUs: uniqueFNSKUs.length
+      uniqueSKUs: uniqueFNSKUs.length,
+      ...volumeStats,
+      lines,
+      discardedRows,
+      truncated: !!rodeoResult.truncated,
+      rodeoPages: rodeoResult.pagesFetched
     };
 
     log('='.repeat(50));
     log('BATCH DATA FETCH COMPLETE');
-    log('Final result:', JSON.stringify(result, null, 2));
+    log('Final result:', JSON.stringify({ ...result, lines: `${lines.length} lines` }, null, 2));
     log('='.repeat(50));
 
     return result;
   } catch (error) {
+    if (isAbortError(error)) {
+      log(`Batch ${batchId} fetch cancelled`);
+      return { batchId, cancelled: true };
+    }
     logError('Exception during batch data fetch:', error);
     logError('Stack:', error.stack);
-    return { error: error.message };
+    return { batchId, error: error.message };
+  }
+}
+
+// Running totals for a batch job's progress events: how many FN SKUs have
+// resolved and the average over the units weighed so far
+function createProgressTracker(batchId, fnskus, onProgress) {
+  const unitCounts = new Map();
+  fnskus.forEach(fnsku => unitCounts.set(fnsku, (unitCounts.get(fnsku) || 0) + 1));
+
+  let resolvedSKUs = 0;
+  let itemsWithWeight = 0;
+  let weightSum = 0;
+
+  function report(stage) {
+    if (!onProgress) return;
+    try {
+      onProgress({
+        batchId,
+        stage,
+        totalItems: fnskus.length,
+        uniqueSKUs: unitCounts.size,
+        resolvedSKUs,
+        itemsWithWeight,
+        partialAverage: itemsWithWeight > 0 ? Math.round(weightSum / itemsWithWeight * 100) / 100 : null
+      });
+    } catch (error) {
+      logError('Progress listener failed:', error);
+    }
+  }
+
+  return {
+    rodeoDone: () => report('rodeo'),
+    resolved(result) {
+      resolvedSKUs++;
+      if (result && result.weight !== null && result.weight !== undefined) {
+        const units = unitCounts.get(result.fnsku) || 0;
+        itemsWithWeight += units;
+        weightSum += result.weight * units;
+      }
+      report('weights');
+    }
+  };
+}
+
+// Weight and dimensions of a single FN SKU, for the popup's lookup box
+async function lookupSku(fnsku, warehouseId, region) {
+  rememberWarehouseRegion(warehouseId, region);
+  const result = await fetchWeightFromFCResearch(fnsku, warehouseId);
+  if (result.errorType === ERROR_TYPES.AUTH) {
+    markSessionExpired('fcresearch', warehouseId);
+  } else if (result.weight !== null && !result.fromCache) {
+    markSessionValid('fcresearch');
+  }
+  return { ...result, researchUrl: fcResearchSearchUrl(fnsku, warehouseId) };
+}
+
+// Calculate cube statistics for a batch. Volumes are in cubic inches and
+// count every unit, so a line with Quantity 3 adds its cube three times.
+function calculateVolumeStats(fnskus, dimensionMap) {
+  const unitVolumes = fnskus
+    .map(fnsku => dimensionMap.get(fnsku))
+    .filter(Boolean)
+    .map(d => d.volume);
+
+  log(`Dimensions collected: ${unitVolumes.length} of ${fnskus.length} items`);
+
+  if (unitVolumes.length === 0) {
+    return { itemsWithDimensions: 0, totalVolume: null, averageVolume: null, largestItem: null };
+  }
+
+  let largestItem = null;
+  for (const [fnsku, dimensions] of dimensionMap) {
+    if (!largestItem || dimensions.volume > largestItem.volume) {
+      largestItem = { fnsku, ...dimensions };
+    }
+  }
+
+  const totalVolume = unitVolumes.reduce((sum, v) => sum + v, 0);
+
+  return {
+    itemsWithDimensions: unitVolumes.length,
+    totalVolume: Math.round(totalVolume * 100) / 100,
+    averageVolume: Math.round(totalVolume / unitVolumes.length * 100) / 100,
+    largestItem
+  };
+}
+
+// A weight this many times above or below the batch's median FN SKU weight is an outlier
+const OUTLIER_FACTOR = 10;
+// Fewer weighed FN SKUs than this give no meaningful median
+const OUTLIER_MIN_SKUS = 3;
+
+// Data-quality checks for a batch: the share of units with a weight, FN SKUs
+// whose weight came from a fallback pattern instead of the product table, and
+// FN SKUs whose weight is far from the batch's median (often a unit mix-up)
+function assessWeightQuality(fnskus, weightMap, sourceMap) {
+  const uniqueFNSKUs = [...new Set(fnskus)];
+  const weighed = uniqueFNSKUs.filter(fnsku => weightMap.has(fnsku));
+  const itemsWithWeight = fnskus.filter(fnsku => weightMap.has(fnsku)).length;
+
+  const fallbackSKUs = weighed.filter(fnsku =>
+    [WEIGHT_SOURCES.FALLBACK, WEIGHT_SOURCES.PAGE_TEXT].includes(sourceMap.get(fnsku)));
+  const overrideSKUs = weighed.filter(fnsku => sourceMap.get(fnsku) === WEIGHT_SOURCES.OVERRIDE);
+
+  let outlierSKUs = [];
+  if (weighed.length >= OUTLIER_MIN_SKUS) {
+    const sorted = weighed.map(fnsku => weightMap.get(fnsku)).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    // An override was checked by a person, so it is never an outlier
+    outlierSKUs = weighed.filter(fnsku => {
+      if (overrideSKUs.includes(fnsku)) return false;
+      const weight = weightMap.get(fnsku);
+      return weight > median * OUTLIER_FACTOR || weight < median / OUTLIER_FACTOR;
+    });
+  }
+
+  const flags = [];
+  if (itemsWithWeight < fnskus.length) flags.push('missing');
+  if (fallbackSKUs.length > 0) flags.push('fallback');
+  if (outlierSKUs.length > 0) flags.push('outlier');
+
+  return {
+    coverage: fnskus.length > 0 ? Math.round(itemsWithWeight / fnskus.length * 100) : 0,
+    missingItems: fnskus.length - itemsWithWeight,
+    fallbackSKUs,
+    outlierSKUs,
+    overrideSKUs,
+    flags
+  };
+}
+
+// Per-FN-SKU breakdown for the drill-down view: one line per FN SKU with its
+// total quantity and quality flags, sorted heaviest line first and missing weights last
+function buildSkuLines(rows, weightMap, warehouseId, quality) {
+  const quantities = new Map();
+  for (const row of rows) {
+    quantities.set(row.fnsku, (quantities.get(row.fnsku) || 0) + row.quantity);
   }
+
+  const lines = [];
+  for (const [fnsku, quantity] of quantities) {
+    const unitWeight = weightMap.has(fnsku) ? weightMap.get(fnsku) : null;
+    const override = quality.overrideSKUs.includes(fnsku) ? weightOverrides[`${warehouseId}:${fnsku}`] || null : null;
+    lines.push({
+      fnsku,
+      quantity,
+      unitWeight,
+      lineWeight: unitWeight === null ? null : Math.round(unitWeight * quantity * 100) / 100,
+      missing: unitWeight === null,
+      fallback: quality.fallbackSKUs.includes(fnsku),
+      outlier: quality.outlierSKUs.includes(fnsku),
+      override: override !== null,
+      overrideNote: override ? override.note : null,
+      researchUrl: fcResearchSearchUrl(fnsku, warehouseId)
+    });
+  }
+
+  return lines.sort((a, b) => {
+    if (a.missing !== b.missing) return a.missing ? 1 : -1;
+    return (b.lineWeight || 0) - (a.lineWeight || 0);
+  });
+}
+
+// FC Research search page for an FN SKU, honoring the host override
+function fcResearchSearchUrl(fnsku, warehouseId) {
+  const host = hostsForWarehouse(warehouseId).fcResearch;
+  return resolveHost(`https://${host}/${warehouseId}/results?s=${encodeURIComponent(fnsku)}`);
 }
 
-// Fetch FN SKUs from Rodeo via direct HTTP request
-async function fetchFNSKUsFromRodeo(batchId, warehouseId) {
-  // Try multiple URL patterns for Rodeo
+// Fetch shipment rows from Rodeo via direct HTTP request
+async function fetchRodeoRows(batchId, warehouseId, signal = null) {
+  // Try multiple URL patterns on the warehouse's regional Rodeo host
+  const rodeoHost = hostsForWarehouse(warehouseId).rodeo;
   const urls = [
-    `https://rodeo-iad.amazon.com/${warehouseId}/Search?_enabledColumns=on&enabledColumns=LPN&searchKey=${batchId}`,
-    `https://rodeo-iad.amazon.com/${warehouseId}/Search?searchKey=${batchId}`,
-    `https://rodeo-dub.amazon.com/${warehouseId}/Search?searchKey=${batchId}`,
-    `https://rodeo.amazon.com/${warehouseId}/Search?searchKey=${batchId}`
+    `https://${rodeoHost}/${warehouseId}/Search?_enabledColumns=on&enabledColumns=LPN&searchKey=${batchId}`,
+    `https://${rodeoHost}/${warehouseId}/Search?searchKey=${batchId}`
   ];
 
+  let failure = typedError(ERROR_TYPES.NOT_FOUND, 'rodeo', 'No shipments found for this batch in Rodeo');
+
   for (const url of urls) {
     log(`Trying Rodeo URL: ${url}`);
 
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        credentials: 'include',
-        headers: {
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5'
-        }
-      });
-
-      log(`Rodeo response status: ${response.status}`);
+      const html = await fetchRodeoPage(url, signal);
+      const page = parseRodeoPage(html);
+      log(`Parsed ${page.rows.length} rows from Rodeo response`);
 
-      if (!response.ok) {
-        log(`Request failed, trying next URL...`);
-        continue;
+      if (page.rows.length > 0) {
+        return await fetchRemainingRodeoPages(url, page, signal);
       }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      logError(`Rodeo fetch error for ${url}:`, error.message);
+      failure = error.type ? error : typedError(ERROR_TYPES.PARSE, 'rodeo', 'Could not read the Rodeo page');
+      // Another URL on the same host won't get past an expired session
+      if (failure.type === ERROR_TYPES.AUTH) break;
+    }
+  }
 
-      const html = await response.text();
-      log(`Rodeo response length: ${html.length} chars`);
+  return { error: failure.message, errorType: failure.type, rows: [] };
+}
 
-      // Check if we got a valid response (not a redirect or error page)
-      if (html.includes('Sign in') || html.includes('Login') || html.length < 500) {
-        log('Got login page or error, trying next URL...');
-        continue;
-      }
+// Fetch one Rodeo page, returning its HTML. Throws a typed error for
+// failures and login pages.
+async function fetchRodeoPage(url, signal = null) {
+  return fetchServicePage('rodeo', url, {
+    method: 'GET',
+    credentials: 'include',
+    signal,
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5'
+    }
+  }, 500);
+}
+
+// Follow the Rodeo pager until every result row has been read.
+// Returns the merged rows and whether the batch is still incomplete.
+async function fetchRemainingRodeoPages(firstUrl, firstPage, signal = null) {
+  const MAX_PAGES = 50;
+  const rows = [...firstPage.rows];
+  let pager = firstPage.pager;
+  let pageUrl = firstUrl;
+  let pagesFetched = 1;
+
+  if (!pager) {
+    log('No Rodeo pager found, assuming a single page');
+    return { rows, truncated: false, pagesFetched };
+  }
+
+  let rowsSeen = pager.end - pager.start + 1;
+  log(`Rodeo pager: showing ${pager.start}-${pager.end} of ${pager.resultSize}`);
 
-      // Parse HTML to extract FN SKUs
-      const fnskus = parseRodeoFNSKUs(html);
-      log(`Parsed ${fnskus.length} FN SKUs from Rodeo response`);
+  while (rowsSeen < pager.resultSize && pager.nextHref && pagesFetched < MAX_PAGES) {
+    pageUrl = new URL(pager.nextHref, pageUrl).href;
+    log(`Fetching next Rodeo page: ${pageUrl}`);
 
-      if (fnskus.length > 0) {
-        return { fnskus };
+    try {
+      const html = await fetchRodeoPage(pageUrl, signal);
+      const page = parseRodeoPage(html);
+      if (!page.pager || page.pager.start <= pager.start) {
+        logError('Rodeo page did not advance, stopping pagination');
+        break;
       }
+
+      rows.push(...page.rows);
+      rowsSeen += page.pager.end - page.pager.start + 1;
+      pager = page.pager;
+      pagesFetched++;
+      log(`Rodeo rows read so far: ${rowsSeen} of ${pager.resultSize}`);
     } catch (error) {
-      logError(`Rodeo fetch error for ${url}:`, error);
+      if (isAbortError(error) || error.type === ERROR_TYPES.AUTH) throw error;
+      logError(`Rodeo page fetch error for ${pageUrl}:`, error.message);
+      break;
     }
   }
 
-  return { error: 'Could not fetch data from Rodeo', fnskus: [] };
+  const truncated = rowsSeen < pager.resultSize;
+  if (truncated) {
+    logError(`Rodeo results truncated: read ${rowsSeen} of ${pager.resultSize} rows`);
+  }
+
+  return { rows, truncated, resultSize: pager.resultSize, rowsSeen, pagesFetched };
 }
 
-// Parse Rodeo HTML to extract FN SKUs (including duplicates for accurate unit count)
-function parseRodeoFNSKUs(html) {
-  const fnskus = [];
+// Rodeo result table header text -> record field
+const RODEO_COLUMNS = {
+  'Shipment ID': 'shipmentId',
+  'FN SKU': 'fnsku',
+  'Scannable ID': 'scannableId',
+  'Condition': 'condition',
+  'Ship Method': 'shipMethod',
+  'Process Path': 'processPath',
+  'Pick Priority': 'pickPriority',
+  'Pick Batch ID': 'pickBatchId',
+  'Quantity': 'quantity',
+  'Work Pool': 'workPool',
+  'Dwell Time': 'dwellTime'
+};
+
+// Parse a Rodeo search page into shipment rows and pager info
+function parseRodeoPage(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return {
+    rows: parseRodeoRows(doc),
+    pager: parseRodeoPager(doc)
+  };
+}
 
-  log('Parsing Rodeo HTML for FN SKUs...');
+// Parse the Rodeo result table into one record per row, using the header
+// text to locate each column
+function parseRodeoRows(doc) {
+  log('Parsing Rodeo result table...');
 
-  // Method 1: Look for FN SKU links (they link to fcresearch)
-  // Keep ALL matches including duplicates to count total units
-  // Pattern: <a href="...fcresearch...*">X004UIFIPL</a>
-  const linkPattern = /<a[^>]*href="[^"]*fcresearch[^"]*"[^>]*>([A-Z0-9]{10,})<\/a>/gi;
-  let match;
-  while ((match = linkPattern.exec(html)) !== null) {
-    fnskus.push(match[1]);
+  const table = doc.querySelector('table.result-table');
+  if (!table) {
+    log('No Rodeo result table found');
+    return [];
   }
-  log(`Method 1 (fcresearch links): found ${fnskus.length} FN SKUs (including duplicates)`);
 
-  // Method 2: Look for FN SKU in any links (only if method 1 found nothing)
-  if (fnskus.length === 0) {
-    const anyLinkPattern = /<a[^>]*>([XB][A-Z0-9]{9,})<\/a>/gi;
-    while ((match = anyLinkPattern.exec(html)) !== null) {
-      fnskus.push(match[1]);
-    }
-    log(`Method 2 (any links): found ${fnskus.length} FN SKUs`);
+  const headers = Array.from(table.querySelectorAll('thead th'), th => th.textContent.trim());
+  log('Rodeo headers:', headers.filter(Boolean).join(', '));
+
+  if (!headers.includes('FN SKU')) {
+    log('Rodeo result table has no FN SKU column');
+    return [];
   }
 
-  // Method 3: Look for FN SKU pattern in table cells
-  if (fnskus.length === 0) {
-    const cellPattern = /<td[^>]*>(?:<[^>]*>)*([XB][A-Z0-9]{9,})(?:<[^>]*>)*<\/td>/gi;
-    while ((match = cellPattern.exec(html)) !== null) {
-      fnskus.push(match[1]);
-    }
-    log(`Method 3 (table cells): found ${fnskus.length} FN SKUs`);
+  const rows = [];
+  for (const tr of table.querySelectorAll('tbody > tr')) {
+    const cells = Array.from(tr.children).filter(cell => cell.tagName === 'TD');
+    const record = {};
+
+    headers.forEach((header, index) => {
+      const field = RODEO_COLUMNS[header];
+      if (field && cells[index]) {
+        record[field] = parseRodeoCell(field, cells[index]);
+      }
+    });
+
+    if (!record.fnsku) continue;
+
+    // The highlight cell carries the FC SKU in its data-url query string
+    const highlight = tr.querySelector('[data-url*="fcSku="]');
+    const dataUrl = highlight ? highlight.getAttribute('data-url') : '';
+    record.fcSku = new URLSearchParams(dataUrl.split('?')[1] || '').get('fcSku');
+
+    rows.push(record);
   }
 
-  // Method 4: Broader regex search for FN SKU pattern
-  if (fnskus.length === 0) {
-    const broadPattern = /\b([XB][A-Z0-9]{9,})\b/g;
-    while ((match = broadPattern.exec(html)) !== null) {
-      fnskus.push(match[1]);
+  const units = rows.reduce((sum, row) => sum + row.quantity, 0);
+  log(`Total: ${rows.length} rows, ${units} units, ${new Set(rows.map(row => row.fnsku)).size} unique SKUs`);
+
+  return rows;
+}
+
+// Read a single Rodeo cell value
+function parseRodeoCell(field, cell) {
+  const text = cell.textContent.replace(/\s+/g, ' ').trim();
+
+  switch (field) {
+    case 'fnsku':
+    case 'shipmentId':
+    case 'scannableId':
+    case 'pickBatchId': {
+      // Prefer the link text; these cells also contain icon links
+      const link = Array.from(cell.querySelectorAll('a')).find(a => a.textContent.trim());
+      return link ? link.textContent.trim() : text;
+    }
+    case 'quantity': {
+      const quantity = parseInt(text, 10);
+      if (isNaN(quantity) || quantity < 1) {
+        log(`Unreadable quantity "${text}", assuming 1`);
+        return 1;
+      }
+      return quantity;
+    }
+    case 'dwellTime': {
+      // Rendered as "<span class="dwell-time-minutes">1014</span> 16h 54m"
+      const minutesEl = cell.querySelector('.dwell-time-minutes');
+      return minutesEl ? parseInt(minutesEl.textContent, 10) : text;
     }
-    log(`Method 4 (broad regex): found ${fnskus.length} FN SKUs`);
+    default:
+      return text;
   }
+}
 
-  // Log sample of HTML for debugging if no FN SKUs found
-  if (fnskus.length === 0) {
-    log('No FN SKUs found. HTML sample (first 3000 chars):');
-    log(html.substring(0, 3000));
-    log('---');
-    log('HTML sample (around "FN" or "SKU" if present):');
-    const fnIndex = html.toLowerCase().indexOf('fn');
-    if (fnIndex > -1) {
-      log(html.substring(Math.max(0, fnIndex - 100), fnIndex + 500));
-    }
+// Parse the Rodeo pager bar ("Showing 1 - 100 of 186 results").
+// Returns null when the page has no pager.
+function parseRodeoPager(doc) {
+  const pagerBar = doc.querySelector('.pager-bar');
+  if (!pagerBar) {
+    return null;
   }
 
-  const uniqueCount = new Set(fnskus).size;
-  log(`Total: ${fnskus.length} units, ${uniqueCount} unique SKUs`);
+  const readNumber = selector => {
+    const el = pagerBar.querySelector(selector);
+    return el ? parseInt(el.textContent, 10) : NaN;
+  };
 
+  const start = readNumber('.pager-visible-range-start');
+  const end = readNumber('.pager-visible-range-end');
+  const resultSize = readNumber('.pager-result-size');
+  if (isNaN(start) || isNaN(end) || isNaN(resultSize)) {
+    return null;
+  }
+
+  // The next link is a plain span on the last page and an anchor otherwise
+  const nextLink = pagerBar.querySelector('a.pager-next-link, .pager-next-link a');
+
+  return {
+    start,
+    end,
+    resultSize,
+    nextHref: nextLink ? nextLink.getAttribute('href') : null
+  };
+}
+
+// Expand Rodeo rows into one FN SKU entry per unit
+function expandRowsToUnits(rows) {
+  const fnskus = [];
+  for (const row of rows) {
+    for (let i = 0; i < row.quantity; i++) {
+      fnskus.push(row.fnsku);
+    }
+  }
   return fnskus;
 }
 
-// Fetch weight from FC Research via direct HTTP POST to /results/product endpoint
-async function fetchWeightFromFCResearch(fnsku, warehouseId) {
-  // Check cache first
+// Fetch weight from FC Research, from an override or the cache when possible.
+// Lookups for an FN SKU already being fetched by another batch or tab share that request.
+async function fetchWeightFromFCResearch(fnsku, warehouseId, signal = null) {
   const cacheKey = `${warehouseId}:${fnsku}`;
-  const cached = weightCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
+
+  // A pinned override beats both the cache and FC Research; cached dimensions still apply
+  await weightOverridesReady;
+  const override = weightOverrides[cacheKey];
+  if (override) {
+    log(`Override for ${fnsku}: ${override.weight} lbs${override.note ? ` (${override.note})` : ''}`);
+    await weightCacheReady;
+    const entry = weightCache.get(cacheKey);
+    return {
+      fnsku,
+      weight: override.weight,
+      dimensions: entry ? entry.dimensions || null : null,
+      source: WEIGHT_SOURCES.OVERRIDE,
+      note: override.note,
+      fromCache: true
+    };
+  }
+
+  // Check cache first
+  const cached = await getCachedWeight(cacheKey);
+  if (cached) {
     log(`Cache HIT for ${fnsku}: ${cached.weight} lbs`);
-    return { fnsku, weight: cached.weight, fromCache: true };
+    return {
+      fnsku,
+      weight: cached.weight,
+      dimensions: cached.dimensions || null,
+      source: cached.source || WEIGHT_SOURCES.TABLE,
+      fromCache: true
+    };
   }
 
+  return singleFlight(weightFlights, cacheKey,
+    flight => requestWeightFromFCResearch(fnsku, warehouseId, cacheKey, flight.signal), { signal });
+}
+
+// Fetch weight from FC Research via direct HTTP POST to /results/product endpoint
+async function requestWeightFromFCResearch(fnsku, warehouseId, cacheKey, signal) {
   // Use the direct /results/product POST endpoint (much cleaner than parsing full page)
   const productEndpoints = [
-    `https://fcresearch-na.aka.amazon.com/${warehouseId}/results/product`,
-    `https://fcresearch.aka.amazon.com/${warehouseId}/results/product`
+    `https://${hostsForWarehouse(warehouseId).fcResearch}/${warehouseId}/results/product`
   ];
 
+  let failure = typedError(ERROR_TYPES.PARSE, 'fcresearch', `FC Research has no weight for ${fnsku}`);
+
   for (const url of productEndpoints) {
     log(`Trying FC Research product endpoint: ${url}`);
 
     try {
-      const response = await fetch(url, {
+      const html = await fetchServicePage('fcresearch', url, {
         method: 'POST',
         credentials: 'include',
+        signal,
         headers: {
           'Accept': 'text/html, */*; q=0.01',
           'Accept-Language': 'en-US,en;q=0.5',
@@ -313,87 +1820,89 @@ async function fetchWeightFromFCResearch(fnsku, warehouseId) {
           'X-Requested-With': 'XMLHttpRequest'
         },
         body: `s=${fnsku}`
-      });
-
-      log(`FC Research response status for ${fnsku}: ${response.status}`);
-
-      if (!response.ok) {
-        log(`Request failed, trying next endpoint...`);
-        continue;
-      }
-
-      const html = await response.text();
-      log(`FC Research response length for ${fnsku}: ${html.length} chars`);
-
-      // Check if we got a valid response
-      if (html.includes('Sign in') || html.includes('Login') || html.length < 100) {
-        log('Got login page or error, trying next endpoint...');
-        continue;
-      }
+      }, 100);
 
       // Parse HTML to extract weight from the product table
-      const weight = parseFCResearchWeight(html, fnsku);
+      const found = findFCResearchWeight(html, fnsku);
+      const dimensions = parseFCResearchDimensions(html, fnsku);
 
-      if (weight !== null) {
+      if (found) {
         // Cache the result
-        weightCache.set(cacheKey, { weight, timestamp: Date.now() });
-        log(`Cached weight for ${fnsku}: ${weight} lbs`);
-        return { fnsku, weight };
+        await setCachedWeight(cacheKey, found.pounds, dimensions, found.source);
+        log(`Cached weight for ${fnsku}: ${found.pounds} lbs (${found.source})`);
+        return { fnsku, weight: found.pounds, dimensions, source: found.source };
       }
     } catch (error) {
-      logError(`FC Research fetch error for ${fnsku}:`, error);
+      if (isAbortError(error)) throw error;
+      logError(`FC Research fetch error for ${fnsku}:`, error.message);
+      failure = error.type ? error : typedError(ERROR_TYPES.PARSE, 'fcresearch', `Could not read FC Research page for ${fnsku}`);
     }
   }
 
-  return { fnsku, weight: null, error: 'Could not fetch weight' };
+  return { fnsku, weight: null, error: failure.message, errorType: failure.type };
+}
+
+// Where a weight came from: the FC Research product table's Weight row, a
+// fallback pattern or the page text (both guesses, flagged on the batch), or
+// a manual override pinned on the cache page.
+const WEIGHT_SOURCES = {
+  TABLE: 'table',
+  FALLBACK: 'fallback',
+  PAGE_TEXT: 'pageText',
+  OVERRIDE: 'override'
+};
+
+// Parse FC Research HTML to extract weight, normalized to pounds
+function parseFCResearchWeight(html, fnsku) {
+  const found = findFCResearchWeight(html, fnsku);
+  return found ? found.pounds : null;
 }
 
-// Parse FC Research HTML to extract weight in pounds
+// Find the weight in FC Research HTML. Returns { pounds, source } or null.
 // The /results/product endpoint returns clean HTML like:
 // <tr><th>Weight</th><td>2.36 pounds</td></tr>
-function parseFCResearchWeight(html, fnsku) {
+// Ounces, grams and kilograms are converted by lib/measurements.js.
+function findFCResearchWeight(html, fnsku) {
   log(`Parsing FC Research HTML for weight (${fnsku})...`);
 
   // Primary pattern: Weight row in product table (from /results/product endpoint)
-  // Format: <tr><th>Weight</th><td>2.36 pounds</td></tr>
-  const primaryPattern = /<th>Weight<\/th>\s*<td>(\d+\.?\d*)\s*pounds?<\/td>/i;
-  const primaryMatch = html.match(primaryPattern);
-  if (primaryMatch) {
-    const weight = parseFloat(primaryMatch[1]);
-    if (!isNaN(weight) && weight > 0 && weight < 1000) {
-      log(`Primary pattern: found weight ${weight} lbs`);
-      return weight;
+  const rowMatch = html.match(/<t[dh][^>]*>\s*Weight\s*<\/t[dh]>\s*<td[^>]*>([^<]*)<\/td>/i);
+  if (rowMatch) {
+    const weight = Measurements.parseWeight(rowMatch[1]);
+    if (weight) {
+      log(`Primary pattern: found weight ${weight.value} ${weight.unit} (${weight.pounds} lbs)`);
+      return { pounds: weight.pounds, source: WEIGHT_SOURCES.TABLE };
     }
   }
 
-  // Fallback patterns for other response formats
+  // Fallback patterns for other response formats: the text after a Weight label
   const fallbackPatterns = [
-    /<t[dh][^>]*>\s*Weight\s*<\/t[dh]>\s*<td[^>]*>\s*([\d.]+)\s*(?:pounds?|lbs?|lb)/i,
-    /<t[dh][^>]*>Weight<\/t[dh]>\s*<td[^>]*>([\d.]+)/i,
-    /Weight[:\s]*<[^>]*>([\d.]+)\s*(?:pounds?|lbs?|lb)/i,
-    /Weight[:\s]*([\d.]+)\s*(?:pounds?|lbs?|lb)/i,
-    /"weight"[:\s]*([\d.]+)/i
+    /Weight[:\s]*<[^>]*>([^<]+)/i,
+    /Weight[:\s]*([^<\n]+)/i
   ];
 
   for (let i = 0; i < fallbackPatterns.length; i++) {
     const match = html.match(fallbackPatterns[i]);
-    if (match) {
-      const weight = parseFloat(match[1]);
-      if (!isNaN(weight) && weight > 0 && weight < 1000) {
-        log(`Fallback pattern ${i + 1}: found weight ${weight} lbs`);
-        return weight;
-      }
+    const weight = match && Measurements.parseWeight(match[1]);
+    if (weight) {
+      log(`Fallback pattern ${i + 1}: found weight ${weight.value} ${weight.unit} (${weight.pounds} lbs)`);
+      return { pounds: weight.pounds, source: WEIGHT_SOURCES.FALLBACK };
     }
   }
 
-  // Last resort: Look for pounds anywhere near numbers
-  const poundsPattern = /(\d+\.?\d*)\s*(?:pounds?|lbs?|lb)\b/gi;
-  let match;
-  while ((match = poundsPattern.exec(html)) !== null) {
-    const weight = parseFloat(match[1]);
-    if (!isNaN(weight) && weight > 0 && weight < 100) {
-      log(`Pounds pattern: found weight ${weight} lbs`);
-      return weight;
+  // Last resort: a labelled weight line in the page text, whose value may be
+  // split across several elements. Only lines naming a weight count, so
+  // unrelated numbers with a unit (e.g. "24 oz" in a title) are ignored.
+  const lines = html
+    .replace(/<\/?(?:p|div|br|tr|li|dt|dd|h[1-6]|table|section)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .split('\n');
+  for (const line of lines) {
+    const labelled = line.match(/\bweight\b(.*)/i);
+    const weight = labelled && Measurements.parseWeight(labelled[1]);
+    if (weight) {
+      log(`Page text: found weight ${weight.value} ${weight.unit} (${weight.pounds} lbs)`);
+      return { pounds: weight.pounds, source: WEIGHT_SOURCES.PAGE_TEXT };
     }
   }
 
@@ -409,13 +1918,45 @@ function parseFCResearchWeight(html, fnsku) {
   return null;
 }
 
-// Update extension badge
-function updateBadge(connected) {
-  if (connected) {
-    browser.browserAction.setBadgeText({ text: 'OK' });
+// Parse FC Research HTML to extract dimensions as L x W x H in inches
+// Format: <tr><th>Dimensions</th><td>10.20 x 8.30 x 2.10 inches</td></tr>
+function parseFCResearchDimensions(html, fnsku) {
+  const rowMatch = html.match(/<t[dh][^>]*>\s*Dimensions\s*<\/t[dh]>\s*<td[^>]*>([^<]*)<\/td>/i);
+  if (!rowMatch) {
+    log(`No dimensions row for ${fnsku}`);
+    return null;
+  }
+
+  const dimensions = Measurements.parseDimensions(rowMatch[1]);
+  if (!dimensions) {
+    log(`Could not parse dimensions "${rowMatch[1].trim()}" for ${fnsku}`);
+    return null;
+  }
+
+  const { length, width, height, volume } = dimensions;
+  log(`Dimensions for ${fnsku}: ${length} x ${width} x ${height} in (${volume} cu in)`);
+  return dimensions;
+}
+
+// Extension badge: "!" while a session is expired, otherwise the number of
+// connected Picking Console tabs (blank when there are none)
+function updateBadge() {
+  const pickingTabs = [...connectedTabs.values()].filter(entry => entry.page === 'pickingConsole').length;
+
+  if (expiredSessions.size > 0) {
+    const names = [...expiredSessions.keys()].map(service => SERVICES[service].name);
+    browser.browserAction.setBadgeText({ text: '!' });
+    browser.browserAction.setBadgeBackgroundColor({ color: '#f59e0b' });
+    browser.browserAction.setTitle({ title: `${names.join(' and ')} session expired` });
+  } else if (pickingTabs > 0) {
+    browser.browserAction.setBadgeText({ text: String(pickingTabs) });
     browser.browserAction.setBadgeBackgroundColor({ color: '#4CAF50' });
+    browser.browserAction.setTitle({
+      title: `${pickingTabs} Picking Console tab${pickingTabs === 1 ? '' : 's'} connected`
+    });
   } else {
     browser.browserAction.setBadgeText({ text: '' });
+    browser.browserAction.setTitle({ title: 'Picking Console Size Calculator' });
   }
 }
 
@@ -0,0 +1,320 @@
+// Weight Cache Page Script for Picking Console Size Calculator
+// Lists the background's weight cache next to the manual overrides from
+// lib/weightOverrides.js. Cache entries are refreshed, deleted and imported,
+// and overrides saved and removed, through the background, so override writes
+// queue behind a running import instead of overwriting it.
+// Exports are built here with lib/cacheTransfer.js.
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await PcsSettings.load();
+  const rowsEl = document.getElementById('cache-rows');
+  const searchInput = document.getElementById('cache-search');
+  const summaryEl = document.getElementById('cache-summary');
+  const emptyEl = document.getElementById('cache-empty');
+  const form = document.getElementById('override-form');
+  const statusEl = document.getElementById('save-status');
+  const removeButton = document.getElementById('btn-remove-override');
+  const transferStatusEl = document.getElementById('transfer-status');
+  const importInput = document.getElementById('import-file');
+
+  // Latest listing from the background
+  let entries = [];
+  let overrides = {};
+  let cacheMinutes = settings.cacheMinutes;
+
+  const { createElement, downloadFile } = DomHelpers;
+
+  document.getElementById('override-unit').textContent = `(${settings.weightUnit})`;
+  document.getElementById('import-max-age').textContent = formatDuration(CacheTransfer.MAX_IMPORT_AGE_MS);
+
+  function formatWeight(pounds) {
+    return Measurements.formatWeight(pounds, settings.weightUnit);
+  }
+
+  // Pounds to the display unit, for filling the override weight input
+  function toDisplayUnit(pounds) {
+    const value = settings.weightUnit === 'kg' ? pounds / Measurements.POUNDS_PER_KILOGRAM : pounds;
+    return Math.round(value * 1000) / 1000;
+  }
+
+  // The override weight input back to pounds; anything unparseable is left for validation to reject
+  function toPounds(raw) {
+    const value = Number(String(raw).trim());
+    if (String(raw).trim() === '' || !isFinite(value)) return raw;
+    return settings.weightUnit === 'kg' ? value * Measurements.POUNDS_PER_KILOGRAM : value;
+  }
+
+  // A duration in whole hours, or minutes below an hour
+  function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes < 60 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+  }
+
+  function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.floor(hours / 24)} d ago`;
+  }
+
+  function showStatus(message, isError = false, element = statusEl) {
+    element.textContent = message;
+    element.classList.toggle('error-status', isError);
+    if (!isError) {
+      setTimeout(() => {
+        element.textContent = '';
+      }, 2000);
+    }
+  }
+
+  // One row per FN SKU and warehouse: every cache entry, plus overrides with nothing cached
+  function buildRows() {
+    const rows = entries.map(entry => ({ ...entry, override: overrides[entry.key] || null }));
+    for (const [key, override] of Object.entries(overrides)) {
+      if (!entries.some(entry => entry.key === key)) {
+        rows.push({ key, warehouseId: override.warehouseId, fnsku: override.fnsku, weight: null, source: null, timestamp: null, override });
+      }
+    }
+    return rows.sort((a, b) => a.warehouseId.localeCompare(b.warehouseId) || a.fnsku.localeCompare(b.fnsku));
+  }
+
+  function matchesSearch(row, query) {
+    if (!query) return true;
+    const note = row.override ? row.override.note : '';
+    return [row.fnsku, row.warehouseId, note].some(value => value.toUpperCase().includes(query));
+  }
+
+  function render() {
+    const query = searchInput.value.trim().toUpperCase();
+    const rows = buildRows();
+    const shown = rows.filter(row => matchesSearch(row, query));
+
+    rowsEl.replaceChildren(...shown.map(createRow));
+    emptyEl.hidden = rows.length > 0;
+    summaryEl.textContent = `${entries.length} cached · ${Object.keys(overrides).length} overrides` +
+      (shown.length < rows.length ? ` · ${shown.length} shown` : '');
+  }
+
+  function createRow(row) {
+    const tr = createElement('tr');
+    const expired = row.timestamp !== null && Date.now() - row.timestamp > cacheMinutes * 60000;
+    tr.classList.toggle('expired', expired);
+    tr.classList.toggle('overridden', !!row.override && row.weight !== null);
+
+    tr.appendChild(createElement('td', 'mono', row.fnsku));
+    tr.appendChild(createElement('td', null, row.warehouseId));
+    tr.appendChild(createElement('td', null, row.weight === null ? '—' : formatWeight(row.weight)));
+
+    const sourceCell = createElement('td', row.source ? `source-${row.source}` : null, row.source || '—');
+    if (row.dimensions) {
+      sourceCell.title = `${row.dimensions.length} x ${row.dimensions.width} x ${row.dimensions.height} in`;
+    }
+    tr.appendChild(sourceCell);
+
+    const ageCell = createElement('td', null, row.timestamp ? formatAge(row.timestamp) : '—');
+    if (expired) {
+      ageCell.title = 'Expired: fetched again the next time a batch needs it';
+    } else if (row.fetchedAt && row.fetchedAt !== row.timestamp) {
+      ageCell.title = `Imported; fetched from FC Research ${formatAge(row.fetchedAt)}`;
+    }
+    tr.appendChild(ageCell);
+
+    const overrideCell = createElement('td');
+    if (row.override) {
+      overrideCell.appendChild(createElement('span', 'override-weight', `✎ ${formatWeight(row.override.weight)}`));
+      if (row.override.note) {
+        overrideCell.appendChild(createElement('span', 'override-note', row.override.note));
+      }
+      overrideCell.title = `Set ${new Date(row.override.updatedAt).toLocaleString()}`;
+    }
+    tr.appendChild(overrideCell);
+
+    const actionsCell = createElement('td');
+    const actions = createElement('div', 'row-actions');
+    actions.appendChild(createButton('Refresh', 'Fetch this weight from FC Research again', () => refreshEntry(row, tr)));
+    if (row.weight !== null) {
+      actions.appendChild(createButton('Delete', 'Remove from the cache', () => deleteEntry(row)));
+    }
+    actions.appendChild(createButton(row.override ? 'Edit' : 'Override', 'Pin a weight for this FN SKU', () => editOverride(row)));
+    actionsCell.appendChild(actions);
+    tr.appendChild(actionsCell);
+
+    return tr;
+  }
+
+  function createButton(label, title, onClick) {
+    const button = createElement('button', 'btn btn-secondary', label);
+    button.type = 'button';
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  async function loadEntries() {
+    try {
+      const listing = await browser.runtime.sendMessage({ type: 'getCacheEntries' });
+      if (listing.error) throw new Error(listing.error);
+      entries = listing.entries;
+      overrides = listing.overrides;
+      cacheMinutes = listing.cacheMinutes || cacheMinutes;
+    } catch (error) {
+      console.error('Error loading cache:', error);
+      showStatus('Could not load the cache', true);
+    }
+    render();
+  }
+
+  async function refreshEntry(row, tr) {
+    tr.querySelectorAll('button').forEach(button => { button.disabled = true; });
+    try {
+      const result = await browser.runtime.sendMessage({ type: 'refreshCacheEntry', key: row.key });
+      await loadEntries();
+      if (result.weight === null || result.weight === undefined) {
+        showStatus(`${row.fnsku}: ${result.error || 'no weight in FC Research'}`, true);
+      }
+    } catch (error) {
+      console.error('Error refreshing cache entry:', error);
+      showStatus(`Could not refresh ${row.fnsku}`, true);
+      await loadEntries();
+    }
+  }
+
+  async function deleteEntry(row) {
+    try {
+      await browser.runtime.sendMessage({ type: 'deleteCacheEntry', key: row.key });
+    } catch (error) {
+      console.error('Error deleting cache entry:', error);
+      showStatus(`Could not delete ${row.fnsku}`, true);
+    }
+    await loadEntries();
+  }
+
+  // Fill the override form for a row; its current override, or the cached weight as a starting point
+  function editOverride(row) {
+    form.elements.fnsku.value = row.fnsku;
+    form.elements.warehouseId.value = row.warehouseId;
+    const pounds = row.override ? row.override.weight : row.weight;
+    form.elements.weight.value = pounds === null ? '' : toDisplayUnit(pounds);
+    form.elements.note.value = row.override ? row.override.note : '';
+    setEditing(!!row.override);
+    DomHelpers.showErrors(form, {});
+    form.elements.weight.focus();
+  }
+
+  function setEditing(hasOverride) {
+    document.getElementById('override-title').textContent = hasOverride ? 'Edit Override' : 'Add Override';
+    removeButton.hidden = !hasOverride;
+  }
+
+  function clearForm() {
+    form.reset();
+    setEditing(false);
+    DomHelpers.showErrors(form, {});
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'saveOverride',
+        override: {
+          fnsku: form.elements.fnsku.value,
+          warehouseId: form.elements.warehouseId.value,
+          weight: toPounds(form.elements.weight.value),
+          note: form.elements.note.value
+        }
+      });
+      if (response.error) {
+        const error = new Error(response.error);
+        error.fields = response.fields;
+        throw error;
+      }
+      const { override } = response;
+      DomHelpers.showErrors(form, {});
+      setEditing(true);
+      showStatus(`Override saved for ${override.fnsku}`);
+    } catch (error) {
+      console.error('Error saving override:', error);
+      DomHelpers.showErrors(form, error.fields || {});
+      showStatus(error.fields ? 'Fix the highlighted fields' : 'Could not save the override', true);
+    }
+  });
+
+  removeButton.addEventListener('click', async () => {
+    const fnsku = form.elements.fnsku.value.trim().toUpperCase();
+    const warehouseId = form.elements.warehouseId.value.trim().toUpperCase();
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'removeOverride', warehouseId, fnsku });
+      if (response.error) throw new Error(response.error);
+      clearForm();
+      showStatus(`Override removed for ${fnsku}`);
+    } catch (error) {
+      console.error('Error removing override:', error);
+      showStatus('Could not remove the override', true);
+    }
+  });
+
+  // Export unexpired cache entries and every override as 'json' or 'csv'
+  async function exportCache(format) {
+    await loadEntries();
+    const now = Date.now();
+    const data = CacheTransfer.build(entries.filter(entry => entry.expiresAt > now), overrides);
+    if (data.cache.length === 0 && data.overrides.length === 0) {
+      showStatus('Nothing to export yet', true, transferStatusEl);
+      return;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    if (format === 'json') {
+      downloadFile(`weight-cache-${stamp}.json`, CacheTransfer.toJSON(data), 'application/json');
+    } else {
+      downloadFile(`weight-cache-${stamp}.csv`, CacheTransfer.toCSV(data), 'text/csv');
+    }
+    showStatus(`Exported ${data.cache.length} weights and ${data.overrides.length} overrides`, false, transferStatusEl);
+  }
+
+  // One-line summary of an import for the status line
+  function describeImport(summary) {
+    const { cache, overrides, invalid } = summary;
+    const parts = [`Imported ${cache.added + cache.updated} weights and ${overrides.added + overrides.updated} overrides`];
+    if (cache.kept + overrides.kept > 0) parts.push(`${cache.kept + overrides.kept} newer here kept`);
+    if (cache.stale > 0) parts.push(`${cache.stale} older than ${formatDuration(CacheTransfer.MAX_IMPORT_AGE_MS)} skipped`);
+    if (invalid > 0) parts.push(`${invalid} invalid rows skipped`);
+    return parts.join(' · ');
+  }
+
+  async function importCache(file) {
+    try {
+      const summary = await browser.runtime.sendMessage({ type: 'importCache', text: await file.text() });
+      if (summary.error) throw new Error(summary.error);
+      transferStatusEl.textContent = describeImport(summary);
+      transferStatusEl.classList.remove('error-status');
+    } catch (error) {
+      console.error('Error importing cache:', error);
+      showStatus(`Could not import ${file.name}: ${error.message}`, true, transferStatusEl);
+    }
+    await loadEntries();
+  }
+
+  document.getElementById('btn-export-json').addEventListener('click', () => exportCache('json'));
+  document.getElementById('btn-export-csv').addEventListener('click', () => exportCache('csv'));
+  document.getElementById('btn-import').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) importCache(file);
+  });
+
+  document.getElementById('btn-cancel-override').addEventListener('click', clearForm);
+  searchInput.addEventListener('input', render);
+
+  // Saves from this page or another window land here too
+  WeightOverrides.onChange(updated => {
+    overrides = updated;
+    render();
+  });
+
+  await loadEntries();
+});
@@ -5,7 +5,7 @@
 (function() {
   'use strict';
 
-  const DEBUG = true;
+  let DEBUG = PcsSettings.DEFAULTS.debug;
 
   function log(...args) {
     if (DEBUG) {
@@ -25,21 +25,33 @@
   log('='.repeat(50));
 
   // Extract warehouse ID from URL
-  function extractWarehouseId() {
+  function extractWarehouseId(fallback) {
     const match = window.location.pathname.match(/\/([A-Z0-9]+)\//);
-    const warehouseId = match ? match[1] : 'IND8';
+    const warehouseId = match ? match[1] : fallback;
     log('Extracted warehouse ID:', warehouseId);
     return warehouseId;
   }
 
-  const warehouseId = extractWarehouseId();
+  let warehouseId = extractWarehouseId(PcsSettings.DEFAULTS.defaultWarehouse);
 
-  // Notify background script that we're ready
-  log('Sending contentScriptReady message to background...');
-  browser.runtime.sendMessage({
-    type: 'contentScriptReady',
-    page: 'fcresearch',
-    warehouseId: warehouseId
+  // Apply settings from browser.storage.sync; called on load and on every change
+  function applySettings(settings) {
+    DEBUG = settings.debug;
+    warehouseId = extractWarehouseId(settings.defaultWarehouse);
+  }
+
+  PcsSettings.onChange(applySettings);
+
+  // Load settings, then notify background script that we're ready
+  PcsSettings.load().then(settings => {
+    applySettings(settings);
+
+    log('Sending contentScriptReady message to background...');
+    return browser.runtime.sendMessage({
+      type: 'contentScriptReady',
+      page: 'fcresearch',
+      warehouseId: warehouseId
+    });
   }).then(response => {
     log('contentScriptReady response:', response);
   }).catch(err => {
@@ -197,20 +209,11 @@
           const weightText = valueCell.textContent.trim();
           log(`Found weight cell: "${weightText}"`);
 
-          // Parse weight - format is typically "0.79 pounds"
-          const match = weightText.match(/([\d.]+)\s*(?:pounds?|lbs?)/i);
-          if (match) {
-            const weight = parseFloat(match[1]);
-            log(`Parsed weight: ${weight} lbs`);
-            return weight;
-          }
-
-          // Try just parsing a number
-          const numMatch = weightText.match(/([\d.]+)/);
-          if (numMatch) {
-            const weight = parseFloat(numMatch[1]);
-            log(`Parsed weight (number only): ${weight}`);
-            return weight;
+          // Parse weight with its unit - typically "0.79 pounds", sometimes ounces, grams or kilograms
+          const weight = Measurements.parseWeight(weightText);
+          if (weight) {
+            log(`Parsed weight: ${weight.value} ${weight.unit} (${weight.pounds} lbs)`);
+            return weight.pounds;
           }
 
           log('Could not parse weight from text:', weightText);
@@ -218,16 +221,15 @@
       }
     }
 
-    // Fallback: try regex on full page text
+    // Fallback: try the text after a "Weight" label anywhere on the page
     log('Trying fallback regex extraction...');
     const pageText = document.body.innerText;
 
-    // Look for "Weight" followed by a number and "pounds"
-    const weightMatch = pageText.match(/Weight[:\s]+([\d.]+)\s*(?:pounds?|lbs?)/i);
-    if (weightMatch) {
-      const weight = parseFloat(weightMatch[1]);
-      log(`Fallback: Found weight ${weight} lbs`);
-      return weight;
+    const labelMatch = pageText.match(/Weight[:\s]+([^\n]+)/i);
+    const weight = labelMatch && Measurements.parseWeight(labelMatch[1]);
+    if (weight) {
+      log(`Fallback: Found weight ${weight.value} ${weight.unit} (${weight.pounds} lbs)`);
+      return weight.pounds;
     }
 
     log('No weight found on page');
@@ -270,10 +272,11 @@
         case 'title':
           details.title = value;
           break;
-        case 'weight':
-          const weightMatch = value.match(/([\d.]+)\s*(?:pounds?|lbs?)/i);
-          details.weight = weightMatch ? parseFloat(weightMatch[1]) : null;
+        case 'weight': {
+          const weight = Measurements.parseWeight(value);
+          details.weight = weight ? weight.pounds : null;
           break;
+        }
         case 'dimensions':
           details.dimensions = value;
           break;
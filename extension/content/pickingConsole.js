@@ -5,7 +5,7 @@
 (function() {
   'use strict';
 
-  const DEBUG = true;
+  let DEBUG = PcsSettings.DEFAULTS.debug;
 
   function log(...args) {
     if (DEBUG) {
@@ -19,24 +19,84 @@
     console.error(`[PickingConsole ${timestamp}] ERROR:`, ...args);
   }
 
+  const { createElement, downloadFile } = DomHelpers;
+
   log('='.repeat(50));
   log('Picking Console Size Calculator - Content Script Starting');
   log('URL:', window.location.href);
   log('='.repeat(50));
 
-  // Configuration
+  // Configuration (defaults until the options page settings load)
   const CONFIG = {
-    warehouseId: extractWarehouseId(),
-    pollInterval: 2000,
-    autoFetchInterval: 15 * 60 * 1000 // 15 minutes in milliseconds
+    warehouseId: extractWarehouseId(PcsSettings.DEFAULTS.defaultWarehouse),
+    region: Regions.fromHostname(window.location.hostname) || PcsSettings.DEFAULTS.region,
+    tableRecheckDelay: PcsSettings.DEFAULTS.tableRecheckMs,
+    weightUnit: PcsSettings.DEFAULTS.weightUnit,
+    minCoverage: PcsSettings.DEFAULTS.minCoverage,
+    autoFetchInterval: PcsSettings.DEFAULTS.autoFetchMinutes * 60 * 1000
   };
 
-  log('Configuration:', JSON.stringify(CONFIG, null, 2));
+  // Apply settings from browser.storage.sync; called on load and on every change
+  function applySettings(settings) {
+    DEBUG = settings.debug;
+    CONFIG.warehouseId = extractWarehouseId(settings.defaultWarehouse);
+    CONFIG.region = Regions.fromHostname(window.location.hostname) || settings.region;
+    CONFIG.tableRecheckDelay = settings.tableRecheckMs;
+
+    if (settings.weightUnit !== CONFIG.weightUnit || settings.minCoverage !== CONFIG.minCoverage) {
+      CONFIG.weightUnit = settings.weightUnit;
+      CONFIG.minCoverage = settings.minCoverage;
+      // Redraw everything that shows a weight or depends on the coverage threshold
+      if (isInitialized) {
+        injectWeightsIntoTable();
+        updateBatchList(batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches());
+        refreshTrend();
+      }
+    }
+
+    const autoFetchInterval = settings.autoFetchMinutes * 60 * 1000;
+    if (autoFetchInterval !== CONFIG.autoFetchInterval) {
+      CONFIG.autoFetchInterval = autoFetchInterval;
+      // Reschedule a running timer so the new interval takes effect now
+      if (autoFetchIntervalId) {
+        startAutoFetchTimer();
+      }
+    }
+
+    log('Configuration:', JSON.stringify(CONFIG, null, 2));
+  }
+
+  // Development host override (see background.js); set in browser.storage.local
+  let hostOverride = null;
+
+  // Awaited before the first API call so it can't go to the production origin
+  const hostOverrideReady = browser.storage.local.get('hostOverride').then(stored => {
+    hostOverride = stored.hostOverride || null;
+  }).catch(error => logError('Failed to load host override:', error));
+
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.hostOverride) {
+      hostOverride = changes.hostOverride.newValue || null;
+    }
+  });
+
+  // Picking Console API origin, honoring the host override
+  async function apiOrigin() {
+    await hostOverrideReady;
+    return hostOverride ? hostOverride.replace(/\/$/, '') : `https://${Regions.hosts(CONFIG.region).pickingConsole}`;
+  }
 
   // State
   let isInitialized = false;
   let processingBatches = new Set();
   let batchResults = new Map();
+  // In-flight fetch jobs: batchId -> job ID sent to the background. A response
+  // whose job is no longer listed here was cancelled or superseded.
+  const activeJobs = new Map();
+  let jobCounter = 0;
+  let fetchGeneration = 0;
+  // Latest progress event per running batch, streamed over its batchJob port
+  const batchProgress = new Map();
   let batchDataFromAPI = [];
   let autoFetchIntervalId = null;
   let countdownIntervalId = null;
@@ -45,11 +105,14 @@
     state: 'Ready',
     pickProcess: null
   };
+  // Key and timestamp of the current fetch cycle's history snapshot, so a
+  // retry after signing in again replaces it rather than adding a second one
+  let lastSnapshot = null;
 
   // Extract warehouse ID from URL (e.g., IND8 from /fc/IND8/)
-  function extractWarehouseId() {
+  function extractWarehouseId(fallback) {
     const match = window.location.pathname.match(/\/fc\/([A-Z0-9]+)/);
-    const warehouseId = match ? match[1] : 'IND8';
+    const warehouseId = match ? match[1] : fallback;
     log('Extracted warehouse ID:', warehouseId);
     return warehouseId;
   }
@@ -198,12 +261,13 @@
         const existingWeight = row.querySelector('.pcs-inline-weight');
         const result = batchResults.get(batchId);
         if (result && !result.error) {
-          existingWeight.textContent = `${result.averageWeight} lbs`;
-          existingWeight.title = `Total: ${result.totalWeight} lbs (${result.totalItems} items)`;
-          existingWeight.classList.remove('pcs-loading');
+          existingWeight.textContent = formatBadgeText(result);
+          existingWeight.title = formatBadgeTitle(result);
+          existingWeight.classList.remove('pcs-loading', 'pcs-progress');
+          existingWeight.classList.toggle('pcs-has-details', hasLines(result));
+          applyQualityClasses(existingWeight, result);
         } else if (processingBatches.has(batchId)) {
-          existingWeight.textContent = '...';
-          existingWeight.classList.add('pcs-loading');
+          applyProgressToBadge(existingWeight, batchId);
         }
         continue;
       }
@@ -249,14 +313,16 @@
         // Create weight badge
         const weightBadge = document.createElement('span');
         weightBadge.className = 'pcs-inline-weight';
+        weightBadge.dataset.batchId = batchId;
 
         const result = batchResults.get(batchId);
         if (result && !result.error) {
-          weightBadge.textContent = `${result.averageWeight} lbs`;
-          weightBadge.title = `Total: ${result.totalWeight} lbs (${result.totalItems} items)`;
+          weightBadge.textContent = formatBadgeText(result);
+          weightBadge.title = formatBadgeTitle(result);
+          weightBadge.classList.toggle('pcs-has-details', hasLines(result));
+          applyQualityClasses(weightBadge, result);
         } else if (processingBatches.has(batchId)) {
-          weightBadge.textContent = '...';
-          weightBadge.classList.add('pcs-loading');
+          applyProgressToBadge(weightBadge, batchId);
         } else {
           weightBadge.textContent = '—';
           weightBadge.title = 'Weight not fetched yet';
@@ -268,6 +334,168 @@
     }
   }
 
+  // Volumes from the background are in cubic inches
+  const CUBIC_INCHES_PER_CUBIC_FOOT = 1728;
+
+  function hasVolume(result) {
+    return result.totalVolume !== null && result.totalVolume !== undefined;
+  }
+
+  // Format a cubic-inch volume as cubic feet
+  function formatCubicFeet(cubicInches) {
+    return `${(cubicInches / CUBIC_INCHES_PER_CUBIC_FOOT).toFixed(2)} ft³`;
+  }
+
+  // Weights arrive in pounds; show them in the unit chosen on the options page
+  function formatWeight(pounds) {
+    return Measurements.formatWeight(pounds, CONFIG.weightUnit);
+  }
+
+  // Data-quality flags from the background (missing, fallback, outlier)
+  function qualityFlags(result) {
+    return result.quality ? result.quality.flags : [];
+  }
+
+  // Below the minimum coverage the average isn't shown; too few units were weighed to trust it
+  function isLowCoverage(result) {
+    return typeof result.coverage === 'number' && result.coverage < CONFIG.minCoverage;
+  }
+
+  // One line per data-quality flag, for tooltips
+  function describeQuality(result) {
+    const quality = result.quality;
+    const lines = [`Coverage: ${result.itemsWithWeight} of ${result.totalItems} units weighed (${result.coverage}%)`];
+    if (!quality) return lines;
+
+    if (quality.flags.includes('missing')) {
+      lines.push(`⚠ ${quality.missingItems} units have no weight in FC Research`);
+    }
+    if (quality.flags.includes('fallback')) {
+      lines.push(`⚠ Weight read from an unexpected page layout: ${quality.fallbackSKUs.join(', ')}`);
+    }
+    if (quality.flags.includes('outlier')) {
+      lines.push(`⚠ Weight far from the batch median: ${quality.outlierSKUs.join(', ')}`);
+    }
+    if (hasOverrides(result)) {
+      lines.push(`✎ Manual weight override: ${quality.overrideSKUs.join(', ')}`);
+    }
+    if (isLowCoverage(result)) {
+      lines.push(`Average hidden: below the ${CONFIG.minCoverage}% minimum coverage`);
+    }
+    return lines;
+  }
+
+  // Whether any weight in the batch came from an override pinned on the cache page
+  function hasOverrides(result) {
+    return !!(result.quality && result.quality.overrideSKUs && result.quality.overrideSKUs.length > 0);
+  }
+
+  function applyQualityClasses(element, result) {
+    element.classList.toggle('pcs-quality-warning', qualityFlags(result).length > 0);
+    element.classList.toggle('pcs-low-coverage', isLowCoverage(result));
+  }
+
+  // Inline badge text: average weight, plus total cube when known. A ⚠ marks
+  // batches with data-quality flags and a ✎ those using manual overrides;
+  // low-coverage batches show only their coverage.
+  function formatBadgeText(result) {
+    if (isLowCoverage(result)) {
+      return `⚠ ${result.coverage}% weighed`;
+    }
+    const marker = `${qualityFlags(result).length > 0 ? ' ⚠' : ''}${hasOverrides(result) ? ' ✎' : ''}`;
+    if (!hasVolume(result)) {
+      return `${formatWeight(result.averageWeight)}${marker}`;
+    }
+    return `${formatWeight(result.averageWeight)} · ${formatCubicFeet(result.totalVolume)}${marker}`;
+  }
+
+  // Inline badge tooltip with totals, coverage, quality flags and the largest item
+  function formatBadgeTitle(result) {
+    const lines = [`Total: ${formatWeight(result.totalWeight)} (${result.totalItems} items)`];
+    if (typeof result.coverage === 'number') {
+      lines.push(...describeQuality(result));
+    }
+    if (hasVolume(result)) {
+      lines.push(`Volume: ${formatCubicFeet(result.totalVolume)} total, ${result.averageVolume} in³ avg per unit`);
+    }
+    if (result.largestItem) {
+      const item = result.largestItem;
+      lines.push(`Largest item: ${item.fnsku} (${item.length} x ${item.width} x ${item.height} in)`);
+    }
+    if (hasLines(result)) {
+      lines.push('Click for the per-SKU breakdown');
+    }
+    return lines.join('\n');
+  }
+
+  // Progress text for a running batch: FN SKUs resolved so far and the provisional average
+  function formatProgressText(progress) {
+    const counts = `${progress.resolvedSKUs}/${progress.uniqueSKUs} SKUs`;
+    return progress.partialAverage === null ? counts : `${counts} · ~${formatWeight(progress.partialAverage)}`;
+  }
+
+  function formatProgressTitle(progress) {
+    return [
+      `Rodeo done: ${progress.totalItems} units, ${progress.uniqueSKUs} FN SKUs`,
+      `${progress.resolvedSKUs} of ${progress.uniqueSKUs} FN SKUs resolved, ${progress.itemsWithWeight} units weighed so far`,
+      'Numbers are provisional until every weight is in'
+    ].join('\n');
+  }
+
+  function progressPercent(progress) {
+    return progress.uniqueSKUs > 0 ? Math.round(progress.resolvedSKUs / progress.uniqueSKUs * 100) : 0;
+  }
+
+  // Show a running batch on its inline badge; the badge fills up as FN SKUs resolve
+  function applyProgressToBadge(badge, batchId) {
+    const progress = batchProgress.get(batchId);
+    badge.classList.add('pcs-loading');
+    if (!progress) {
+      badge.textContent = '...';
+      badge.title = 'Fetching shipments from Rodeo';
+      return;
+    }
+    badge.classList.add('pcs-progress');
+    badge.style.setProperty('--pcs-progress', `${progressPercent(progress)}%`);
+    badge.textContent = formatProgressText(progress);
+    badge.title = formatProgressTitle(progress);
+  }
+
+  // Panel list element for a running batch: provisional numbers plus a progress bar
+  function createProgressElement(batchId) {
+    const progress = batchProgress.get(batchId);
+    if (!progress) {
+      return createElement('span', 'pcs-batch-progress pcs-loading', 'Loading...');
+    }
+
+    const wrapper = createElement('span', 'pcs-batch-progress');
+    wrapper.title = formatProgressTitle(progress);
+    wrapper.appendChild(createElement('span', 'pcs-batch-progress-text', formatProgressText(progress)));
+    const bar = createElement('span', 'pcs-progress-bar');
+    const fill = createElement('span', 'pcs-progress-fill');
+    fill.style.width = `${progressPercent(progress)}%`;
+    bar.appendChild(fill);
+    wrapper.appendChild(bar);
+    return wrapper;
+  }
+
+  // Redraw one running batch's badge and panel row after a progress event,
+  // without rebuilding the whole table and list
+  function renderBatchProgress(batchId) {
+    const badge = document.querySelector(`.pcs-inline-weight[data-batch-id="${batchId}"]`);
+    if (badge) {
+      applyProgressToBadge(badge, batchId);
+    }
+    const current = document.querySelector(`.pcs-batch-item[data-batch-id="${batchId}"] .pcs-batch-progress`);
+    if (current) {
+      current.replaceWith(createProgressElement(batchId));
+    }
+  }
+
+  function hasLines(result) {
+    return Array.isArray(result.lines) && result.lines.length > 0;
+  }
+
   // Update filters display in panel
   function updateFiltersDisplay() {
     currentFilters.state = detectCurrentState();
@@ -288,16 +516,18 @@
   }
 
   // Notify background script that we're ready
-  log('Sending contentScriptReady message to background...');
-  browser.runtime.sendMessage({
-    type: 'contentScriptReady',
-    page: 'pickingConsole',
-    warehouseId: CONFIG.warehouseId
-  }).then(response => {
-    log('contentScriptReady response:', response);
-  }).catch(err => {
-    logError('contentScriptReady failed:', err);
-  });
+  function notifyBackgroundReady() {
+    log('Sending contentScriptReady message to background...');
+    browser.runtime.sendMessage({
+      type: 'contentScriptReady',
+      page: 'pickingConsole',
+      warehouseId: CONFIG.warehouseId
+    }).then(response => {
+      log('contentScriptReady response:', response);
+    }).catch(err => {
+      logError('contentScriptReady failed:', err);
+    });
+  }
 
   // Initialize when DOM is ready
   function init() {
@@ -321,6 +551,7 @@
     setTimeout(async () => {
       updateStatus('Loading batches...');
       await fetchBatchesFromAPI();
+      refreshTrend().catch(error => logError('Failed to load history:', error));
       updateStatus('Auto-fetching all weights...');
       await fetchAllBatchWeights();
       startAutoFetchTimer();
@@ -347,6 +578,15 @@
         const batchId = btn.dataset.batchId;
         log(`Fetch button clicked for batch: ${batchId}`);
         fetchBatchWeight(batchId);
+        return;
+      }
+
+      const badge = e.target.closest('.pcs-inline-weight.pcs-has-details');
+      if (badge) {
+        e.preventDefault();
+        e.stopPropagation();
+        log(`Weight badge clicked for batch: ${badge.dataset.batchId}`);
+        openBatchDetails(badge.dataset.batchId);
       }
     });
 
@@ -364,7 +604,7 @@
     try {
       // Only fetch the current state (not all states)
       const stateToFetch = currentFilters.state || 'Ready';
-      const url = `https://picking-console.na.picking.aft.a2z.com/api/fcs/${CONFIG.warehouseId}/batch-info/${stateToFetch}`;
+      const url = `${await apiOrigin()}/api/fcs/${CONFIG.warehouseId}/batch-info/${stateToFetch}`;
       log(`Fetching: ${url}`);
 
       let allBatches = [];
@@ -435,14 +675,6 @@
     }
   }
 
-  // Helper to create element with classes and text
-  function createElement(tag, className, textContent) {
-    const el = document.createElement(tag);
-    if (className) el.className = className;
-    if (textContent) el.textContent = textContent;
-    return el;
-  }
-
   // Create floating panel
   function createFloatingPanel() {
     log('Creating floating panel...');
@@ -464,6 +696,18 @@
     // Status
     content.appendChild(createElement('div', 'pcs-status', 'Initializing...'));
 
+    // Session expired banner (hidden until a fetch fails with an auth error)
+    const sessionBanner = createElement('div', 'pcs-session-banner');
+    sessionBanner.id = 'pcs-session-banner';
+    sessionBanner.hidden = true;
+    const sessionText = createElement('span', 'pcs-session-text');
+    sessionText.id = 'pcs-session-text';
+    sessionBanner.appendChild(sessionText);
+    const signInBtn = createElement('button', 'pcs-btn pcs-btn-primary', 'Sign in');
+    signInBtn.id = 'pcs-sign-in';
+    sessionBanner.appendChild(signInBtn);
+    content.appendChild(sessionBanner);
+
     // Stats grid
     const stats = createElement('div', 'pcs-stats');
 
@@ -521,6 +765,42 @@
     actions.appendChild(clearBtn);
     content.appendChild(actions);
 
+    // Export buttons
+    const exportActions = createElement('div', 'pcs-actions pcs-export-actions');
+    const exportCsvBtn = createElement('button', 'pcs-btn', 'Export CSV');
+    exportCsvBtn.id = 'pcs-export-csv';
+    exportCsvBtn.title = 'Download current batch weights as CSV';
+    exportActions.appendChild(exportCsvBtn);
+    const exportJsonBtn = createElement('button', 'pcs-btn', 'Export JSON');
+    exportJsonBtn.id = 'pcs-export-json';
+    exportJsonBtn.title = 'Download current batch weights as JSON';
+    exportActions.appendChild(exportJsonBtn);
+    content.appendChild(exportActions);
+
+    // Shift trend sparklines
+    const trend = createElement('div', 'pcs-trend');
+    [['pcs-trend-avg', 'Avg batch'], ['pcs-trend-total', 'Total Ready']].forEach(([id, label]) => {
+      const row = createElement('div', 'pcs-trend-row');
+      const labelEl = createElement('span', 'pcs-trend-label', label);
+      labelEl.id = `${id}-label`;
+      row.appendChild(labelEl);
+      const spark = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      spark.id = `${id}-spark`;
+      spark.setAttribute('class', 'pcs-sparkline');
+      spark.setAttribute('viewBox', '0 0 110 24');
+      row.appendChild(spark);
+      const valueEl = createElement('span', 'pcs-trend-value', '—');
+      valueEl.id = `${id}-value`;
+      row.appendChild(valueEl);
+      trend.appendChild(row);
+    });
+    content.appendChild(trend);
+
+    // Batch list
+    const batchList = createElement('div', 'pcs-batch-list');
+    batchList.id = 'pcs-batch-items';
+    content.appendChild(batchList);
+
     panel.appendChild(content);
     document.body.appendChild(panel);
 
@@ -539,6 +819,22 @@
       clearCache();
     });
 
+    panel.querySelector('#pcs-sign-in').addEventListener('click', (e) => {
+      log(`Sign in button clicked for ${e.target.dataset.service}`);
+      browser.runtime.sendMessage({ type: 'openLogin', service: e.target.dataset.service })
+        .catch(error => logError('Failed to open sign-in page:', error));
+    });
+
+    panel.querySelector('#pcs-export-csv').addEventListener('click', () => {
+      log('Export CSV button clicked');
+      exportResults('csv');
+    });
+
+    panel.querySelector('#pcs-export-json').addEventListener('click', () => {
+      log('Export JSON button clicked');
+      exportResults('json');
+    });
+
     makeDraggable(panel);
     log('Panel created');
   }
@@ -588,7 +884,8 @@
           currentFilters.state = newState;
           currentFilters.pickProcess = newProcess;
 
-          // Clear all cached weights - they're for different batches now
+          // Stop fetches for the old filters and clear their weights
+          cancelAllFetches('filters changed');
           batchResults.clear();
           log('Cleared weight cache due to filter change');
 
@@ -605,7 +902,7 @@
           // Just re-inject weights into table (table may have re-rendered)
           injectWeightsIntoTable();
         }
-      }, 500);
+      }, CONFIG.tableRecheckDelay);
     });
 
     observer.observe(document.body, {
@@ -694,12 +991,29 @@
           const errorSpan = createElement('span', 'pcs-batch-error', 'Error');
           errorSpan.title = result.error;
           item.appendChild(errorSpan);
+        } else if (isLowCoverage(result)) {
+          const lowSpan = createElement('span', 'pcs-batch-quality pcs-low-coverage', `${result.coverage}% weighed`);
+          lowSpan.title = describeQuality(result).join('\n');
+          item.appendChild(lowSpan);
         } else {
-          item.appendChild(createElement('span', 'pcs-batch-weight', `${result.averageWeight} lbs avg`));
-          item.appendChild(createElement('span', 'pcs-batch-details', `(${result.totalItems} items, ${result.totalWeight} lbs total)`));
+          item.appendChild(createElement('span', 'pcs-batch-weight', `${formatWeight(result.averageWeight)} avg`));
+          if (typeof result.coverage === 'number') {
+            const flagged = qualityFlags(result).length > 0;
+            const marker = `${flagged ? '⚠ ' : ''}${hasOverrides(result) ? '✎ ' : ''}`;
+            const qualitySpan = createElement('span', 'pcs-batch-quality', `${marker}${result.coverage}%`);
+            qualitySpan.classList.toggle('pcs-quality-warning', flagged);
+            qualitySpan.title = describeQuality(result).join('\n');
+            item.appendChild(qualitySpan);
+          }
+          if (hasVolume(result)) {
+            const volumeSpan = createElement('span', 'pcs-batch-volume', formatCubicFeet(result.totalVolume));
+            volumeSpan.title = formatBadgeTitle(result);
+            item.appendChild(volumeSpan);
+          }
+          item.appendChild(createElement('span', 'pcs-batch-details', `(${result.totalItems} items, ${formatWeight(result.totalWeight)} total)`));
         }
       } else if (processingBatches.has(batchId)) {
-        item.appendChild(createElement('span', 'pcs-loading', 'Loading...'));
+        item.appendChild(createProgressElement(batchId));
       } else {
         if (apiData && apiData.totalUnits) {
           item.appendChild(createElement('span', 'pcs-batch-details', `${apiData.totalUnits} units`));
@@ -722,37 +1036,153 @@
       return;
     }
 
+    const jobId = `${CONFIG.warehouseId}:${batchId}:${Date.now()}:${++jobCounter}`;
+    activeJobs.set(batchId, jobId);
     processingBatches.add(batchId);
     updateStatus(`Fetching batch ${batchId}...`);
     updateBatchList(batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches());
 
     try {
-      const result = await browser.runtime.sendMessage({
-        type: 'fetchBatchData',
+      const apiData = batchDataFromAPI.find(b => b.batchId === batchId) || {};
+      const result = await runBatchJob({
+        jobId,
         batchId: batchId,
-        warehouseId: CONFIG.warehouseId
+        warehouseId: CONFIG.warehouseId,
+        region: CONFIG.region,
+        state: currentFilters.state,
+        pickProcess: apiData.pickProcess || apiData.pickProcessType || currentFilters.pickProcess
+      }, progress => {
+        if (activeJobs.get(batchId) !== jobId) return;
+        batchProgress.set(batchId, progress);
+        renderBatchProgress(batchId);
       });
 
+      if (activeJobs.get(batchId) !== jobId || result.cancelled) {
+        log(`Discarding result of cancelled job ${jobId}`);
+        return;
+      }
+
       log('Result:', JSON.stringify(result, null, 2));
-      batchResults.set(batchId, result);
+      batchResults.set(batchId, { ...result, fetchedAt: new Date().toISOString() });
 
       if (result.error) {
         updateStatus(`Error: ${result.error}`);
       } else {
-        updateStatus(`Batch ${batchId}: ${result.averageWeight} lbs avg (${result.totalItems} items)`);
+        updateStatus(isLowCoverage(result)
+          ? `Batch ${batchId}: only ${result.coverage}% of items have a weight`
+          : `Batch ${batchId}: ${formatWeight(result.averageWeight)} avg (${result.totalItems} items)`);
       }
     } catch (error) {
+      if (activeJobs.get(batchId) !== jobId) return;
       logError('Fetch error:', error);
-      batchResults.set(batchId, { error: error.message });
+      batchResults.set(batchId, { error: error.message, fetchedAt: new Date().toISOString() });
       updateStatus(`Error: ${error.message}`);
     } finally {
-      processingBatches.delete(batchId);
+      if (activeJobs.get(batchId) === jobId) {
+        activeJobs.delete(batchId);
+        processingBatches.delete(batchId);
+        batchProgress.delete(batchId);
+      }
       updateBatchList(batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches());
       // Update inline weights in table
       injectWeightsIntoTable();
+      updateSessionBanner();
     }
   }
 
+  // Run one batch fetch over a batchJob port (see background.js). Progress
+  // events go to onProgress; resolves with the final result.
+  function runBatchJob(message, onProgress) {
+    return new Promise((resolve, reject) => {
+      const port = browser.runtime.connect({ name: 'batchJob' });
+      let settled = false;
+
+      port.onMessage.addListener(event => {
+        if (event.type === 'progress') {
+          onProgress(event);
+        } else if (event.type === 'result') {
+          settled = true;
+          port.disconnect();
+          resolve(event.result);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          reject(new Error('Background script disconnected before the batch finished'));
+        }
+      });
+
+      port.postMessage({ type: 'start', ...message });
+    });
+  }
+
+  // A batch another Picking Console tab of this warehouse just fetched. Use it
+  // instead of fetching again when the batch is in this view and not running here.
+  function receiveSharedResult({ warehouseId, batchId, result }) {
+    if (warehouseId !== CONFIG.warehouseId || processingBatches.has(batchId)) return;
+
+    const batchIds = batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches();
+    if (!batchIds.includes(batchId)) return;
+
+    log(`Using batch ${batchId} fetched by another tab`);
+    batchResults.set(batchId, { ...result, fetchedAt: new Date().toISOString() });
+    updateBatchList(batchIds);
+    injectWeightsIntoTable();
+  }
+
+  // Batches whose last fetch failed because a session expired
+  function authFailedBatches(service) {
+    return [...batchResults]
+      .filter(([, result]) => result.errorType === 'auth' && (!service || result.service === service))
+      .map(([batchId]) => batchId);
+  }
+
+  // Show the session expired banner while any batch is waiting on a sign-in
+  function updateSessionBanner() {
+    const banner = document.getElementById('pcs-session-banner');
+    if (!banner) return;
+
+    const failed = authFailedBatches();
+    banner.hidden = failed.length === 0;
+    if (failed.length === 0) return;
+
+    const result = batchResults.get(failed[0]);
+    const serviceName = result.service === 'fcresearch' ? 'FC Research' : 'Rodeo';
+    document.getElementById('pcs-session-text').textContent =
+      `${serviceName} session expired. ${failed.length} batch${failed.length === 1 ? '' : 'es'} will retry after you sign in.`;
+    document.getElementById('pcs-sign-in').dataset.service = result.service;
+  }
+
+  // Re-fetch batches that failed on an expired session once it works again
+  async function retryAuthFailures(service) {
+    const batchIds = authFailedBatches(service);
+    if (batchIds.length === 0) return;
+
+    log(`Session restored for ${service}, retrying ${batchIds.length} batches`);
+    updateStatus(`Signed in again, retrying ${batchIds.length} batches...`);
+    batchIds.forEach(batchId => batchResults.delete(batchId));
+    updateSessionBanner();
+
+    await Promise.all(batchIds.map(batchId => fetchBatchWeight(batchId)));
+    await recordSnapshot({ replaceCycle: true });
+  }
+
+  // Cancel every in-flight fetch job; their late responses are discarded
+  function cancelAllFetches(reason) {
+    fetchGeneration++;
+    const jobIds = [...activeJobs.values()];
+    activeJobs.clear();
+    processingBatches.clear();
+    batchProgress.clear();
+
+    if (jobIds.length === 0) return;
+
+    log(`Cancelling ${jobIds.length} fetch jobs (${reason})`);
+    browser.runtime.sendMessage({ type: 'cancelFetch', jobIds })
+      .catch(error => logError('Failed to cancel fetches:', error));
+  }
+
   // Fetch all batch weights
   async function fetchAllBatchWeights() {
     const batchIds = batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches();
@@ -764,20 +1194,126 @@
     }
 
     updateStatus(`Fetching ${unfetched.length} batches...`);
+    const generation = fetchGeneration;
+    lastSnapshot = null;
+
+    // Batches run side by side; the background request queue paces the
+    // actual Rodeo and FC Research traffic
+    await Promise.all(unfetched.map(batchId => fetchBatchWeight(batchId)));
 
-    for (let i = 0; i < unfetched.length; i++) {
-      updateStatus(`Fetching ${i + 1}/${unfetched.length}: ${unfetched[i]}`);
-      await fetchBatchWeight(unfetched[i]);
+    if (generation !== fetchGeneration) {
+      log('Fetch cycle was cancelled, skipping snapshot');
+      return;
     }
 
     updateStatus('All batches fetched');
+    await recordSnapshot();
+  }
+
+  // Save this cycle's results to the background history store, then redraw the
+  // trend. With replaceCycle (a retry after signing in again) the cycle's
+  // snapshot is overwritten, so the trend doesn't get a second point for it.
+  async function recordSnapshot({ replaceCycle = false } = {}) {
+    const batches = [];
+    for (const [batchId, result] of batchResults) {
+      if (result.error || isLowCoverage(result)) continue;
+      batches.push({
+        batchId,
+        averageWeight: result.averageWeight,
+        totalWeight: result.totalWeight,
+        maxWeight: result.maxWeight,
+        totalItems: result.totalItems,
+        uniqueSKUs: result.uniqueSKUs,
+        totalVolume: result.totalVolume ?? null
+      });
+    }
+
+    if (batches.length === 0) {
+      log('No weighed batches this cycle, skipping snapshot');
+      return;
+    }
+
+    try {
+      const key = { warehouseId: CONFIG.warehouseId, state: currentFilters.state, pickProcess: currentFilters.pickProcess };
+      const replace = replaceCycle && lastSnapshot && isSameSnapshotKey(lastSnapshot, key);
+      const response = await browser.runtime.sendMessage({
+        type: 'recordSnapshot',
+        ...key,
+        timestamp: replace ? lastSnapshot.timestamp : null,
+        batches
+      });
+      if (response && response.timestamp) {
+        lastSnapshot = { ...key, timestamp: response.timestamp };
+      }
+      await refreshTrend();
+    } catch (error) {
+      logError('Failed to record snapshot:', error);
+    }
+  }
+
+  function isSameSnapshotKey(a, b) {
+    return a.warehouseId === b.warehouseId && a.state === b.state && (a.pickProcess || '') === (b.pickProcess || '');
+  }
+
+  // Load history for the current warehouse, state and pick process and draw the sparklines
+  async function refreshTrend() {
+    const response = await browser.runtime.sendMessage({
+      type: 'getHistory',
+      warehouseId: CONFIG.warehouseId,
+      state: currentFilters.state,
+      pickProcess: currentFilters.pickProcess
+    });
+    const snapshots = (response && response.snapshots) || [];
+    log(`Loaded ${snapshots.length} history snapshots`);
+
+    const totalLabel = document.getElementById('pcs-trend-total-label');
+    if (totalLabel) {
+      totalLabel.textContent = `Total ${currentFilters.state || 'All'}`;
+    }
+
+    renderTrendRow('pcs-trend-avg', snapshots.map(snap => snap.aggregate.averageBatchWeight));
+    renderTrendRow('pcs-trend-total', snapshots.map(snap => snap.aggregate.totalWeight));
+  }
+
+  // Draw one sparkline of weights plus its latest value
+  function renderTrendRow(id, values) {
+    const svg = document.getElementById(`${id}-spark`);
+    const valueEl = document.getElementById(`${id}-value`);
+    if (!svg || !valueEl) return;
+
+    const points = values.filter(v => v !== null && v !== undefined);
+    valueEl.textContent = points.length > 0 ? formatWeight(points[points.length - 1]) : '—';
+    valueEl.title = points.length > 1
+      ? `Min ${formatWeight(Math.min(...points))} / Max ${formatWeight(Math.max(...points))} over ${points.length} refreshes`
+      : '';
+
+    while (svg.firstChild) {
+      svg.removeChild(svg.firstChild);
+    }
+    if (points.length < 2) return;
+
+    const width = 110;
+    const height = 24;
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min || 1;
+    const coords = points.map((v, i) => {
+      const x = (i / (points.length - 1)) * width;
+      const y = height - 2 - ((v - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    line.setAttribute('points', coords.join(' '));
+    line.setAttribute('class', 'pcs-sparkline-line');
+    svg.appendChild(line);
   }
 
   // Fetch all weights and reset the auto-fetch timer
   async function fetchAllAndResetTimer() {
     log('Fetching all weights and resetting timer...');
 
-    // Clear existing results to fetch fresh data
+    // Cancel running fetches and clear existing results to fetch fresh data
+    cancelAllFetches('refresh');
     batchResults.clear();
 
     // Refresh batch list first
@@ -815,7 +1351,8 @@
       log('Auto-fetch triggered');
       updateStatus('Auto-fetching all batches...');
 
-      // Clear old results and fetch fresh
+      // Cancel leftover fetches, clear old results and fetch fresh
+      cancelAllFetches('auto-refresh');
       batchResults.clear();
       await fetchBatchesFromAPI();
       await fetchAllBatchWeights();
@@ -844,9 +1381,242 @@
     await browser.runtime.sendMessage({ type: 'clearCache' });
     batchResults.clear();
     updateBatchList(batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches());
+    updateSessionBanner();
     updateStatus('Cache cleared');
   }
 
+  // Build one export row per batch that has a result, joined with its Picking Console API data
+  function buildExportRows() {
+    const rows = [];
+    for (const [batchId, result] of batchResults) {
+      const apiData = batchDataFromAPI.find(b => b.batchId === batchId) || {};
+      rows.push(BatchExport.buildRow(batchId, result, apiData, { warehouseId: CONFIG.warehouseId, state: currentFilters.state }));
+    }
+    return rows;
+  }
+
+  // Export current batch results as 'csv' or 'json'. Returns the number of rows exported.
+  function exportResults(format) {
+    const rows = buildExportRows();
+    if (rows.length === 0) {
+      updateStatus('Nothing to export yet');
+      return 0;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const baseName = `batch-weights-${CONFIG.warehouseId}-${currentFilters.state || 'All'}-${stamp}`;
+
+    if (format === 'json') {
+      const payload = {
+        exportedAt: new Date().toISOString(),
+        warehouseId: CONFIG.warehouseId,
+        filters: { ...currentFilters },
+        batches: rows
+      };
+      downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    } else {
+      downloadFile(`${baseName}.csv`, BatchExport.toCSV(rows), 'text/csv');
+    }
+
+    updateStatus(`Exported ${rows.length} batches as ${format.toUpperCase()}`);
+    return rows.length;
+  }
+
+  // Close the per-SKU drill-down modal if it is open
+  function closeBatchDetails() {
+    const overlay = document.getElementById('pcs-details-overlay');
+    if (overlay) overlay.remove();
+    document.removeEventListener('keydown', handleDetailsKeydown);
+  }
+
+  function handleDetailsKeydown(e) {
+    if (e.key === 'Escape') closeBatchDetails();
+  }
+
+  // Open a modal listing each FN SKU in a batch, heaviest line first
+  function openBatchDetails(batchId) {
+    const result = batchResults.get(batchId);
+    if (!result || !hasLines(result)) {
+      updateStatus(`No per-SKU data for batch ${batchId}`);
+      return;
+    }
+
+    closeBatchDetails();
+
+    const overlay = createElement('div', 'pcs-modal-overlay');
+    overlay.id = 'pcs-details-overlay';
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeBatchDetails();
+    });
+
+    const modal = createElement('div', 'pcs-modal');
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-label', `Batch ${batchId} breakdown`);
+
+    const header = createElement('div', 'pcs-modal-header');
+    header.appendChild(createElement('span', 'pcs-modal-title', `Batch ${batchId}`));
+    const closeBtn = createElement('button', 'pcs-modal-close', '×');
+    closeBtn.title = 'Close';
+    closeBtn.addEventListener('click', closeBatchDetails);
+    header.appendChild(closeBtn);
+    modal.appendChild(header);
+
+    const missingLines = result.lines.filter(line => line.missing).length;
+    const summary = [
+      `${result.totalItems} units`,
+      `${result.lines.length} FN SKUs`,
+      `${formatWeight(result.totalWeight)} total`,
+      isLowCoverage(result) ? 'avg hidden' : `${formatWeight(result.averageWeight)} avg`
+    ];
+    if (typeof result.coverage === 'number') {
+      summary.push(`${result.coverage}% coverage`);
+    }
+    if (missingLines > 0) {
+      summary.push(`${missingLines} missing weight`);
+    }
+    modal.appendChild(createElement('div', 'pcs-modal-summary', summary.join(' · ')));
+
+    const table = createElement('table', 'pcs-lines-table');
+    const headRow = createElement('tr');
+    ['FN SKU', 'Qty', 'Unit', 'Line'].forEach(label => headRow.appendChild(createElement('th', null, label)));
+    table.appendChild(createElement('thead')).appendChild(headRow);
+
+    const body = createElement('tbody');
+    for (const line of result.lines) {
+      const row = createElement('tr', line.missing ? 'pcs-line-missing' : null);
+      row.classList.toggle('pcs-line-fallback', !!line.fallback);
+      row.classList.toggle('pcs-line-outlier', !!line.outlier);
+      row.classList.toggle('pcs-line-override', !!line.override);
+
+      const skuCell = createElement('td');
+      const link = createElement('a', null, line.fnsku);
+      link.href = line.researchUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.title = 'Open in FC Research';
+      skuCell.appendChild(link);
+      row.appendChild(skuCell);
+
+      row.appendChild(createElement('td', null, String(line.quantity)));
+      const unitCell = createElement('td', null, formatWeight(line.unitWeight));
+      if (line.override) {
+        unitCell.textContent = `✎ ${unitCell.textContent}`;
+        unitCell.title = `Manual override${line.overrideNote ? `: ${line.overrideNote}` : ''}`;
+      } else if (line.outlier) {
+        unitCell.title = 'Far from the median weight of this batch; check the unit in FC Research';
+      } else if (line.fallback) {
+        unitCell.title = 'Read from an unexpected FC Research page layout';
+      }
+      row.appendChild(unitCell);
+      row.appendChild(createElement('td', null, line.missing ? 'Missing' : formatWeight(line.lineWeight)));
+      body.appendChild(row);
+    }
+    table.appendChild(body);
+
+    const scroller = createElement('div', 'pcs-modal-body');
+    scroller.appendChild(table);
+    modal.appendChild(scroller);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', handleDetailsKeydown);
+  }
+
+  // Number of heaviest batches listed on the popup dashboard
+  const SUMMARY_HEAVIEST = 5;
+
+  // Snapshot of the current view for the toolbar popup's dashboard. Weights are
+  // in pounds; batches below the minimum coverage are left out of the averages.
+  function buildSummary() {
+    const batchIds = batchDataFromAPI.length > 0 ? batchDataFromAPI.map(b => b.batchId) : scanForBatches();
+    const weighed = [];
+    let failedCount = 0;
+
+    for (const batchId of batchIds) {
+      const result = batchResults.get(batchId);
+      if (!result) continue;
+      if (result.error) {
+        failedCount++;
+      } else if (!isLowCoverage(result)) {
+        weighed.push({
+          batchId,
+          averageWeight: result.averageWeight,
+          totalWeight: result.totalWeight,
+          totalItems: result.totalItems,
+          coverage: result.coverage ?? null
+        });
+      }
+    }
+
+    const floorAverage = weighed.length > 0
+      ? Math.round(weighed.reduce((sum, b) => sum + b.averageWeight, 0) / weighed.length * 100) / 100
+      : null;
+
+    return {
+      warehouseId: CONFIG.warehouseId,
+      region: CONFIG.region,
+      state: currentFilters.state,
+      pickProcess: currentFilters.pickProcess,
+      batchCount: batchIds.length,
+      pendingCount: batchIds.filter(batchId => !batchResults.has(batchId)).length,
+      fetchingCount: processingBatches.size,
+      failedCount,
+      weighedCount: weighed.length,
+      floorAverage,
+      heaviest: weighed.sort((a, b) => b.averageWeight - a.averageWeight).slice(0, SUMMARY_HEAVIEST)
+    };
+  }
+
+  // Scroll a batch row into view and flash it (from a notification click)
+  function scrollToBatch(batchId) {
+    const link = Array.from(document.querySelectorAll('tr a, [role="row"] a'))
+      .find(a => a.textContent.trim() === batchId);
+    if (!link) {
+      updateStatus(`Batch ${batchId} is not in the table`);
+      return false;
+    }
+
+    const row = link.closest('tr, [role="row"]');
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.classList.add('pcs-row-highlight');
+    setTimeout(() => row.classList.remove('pcs-row-highlight'), 4000);
+    return true;
+  }
+
+  // Handle requests from the popup and background
+  browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    switch (message.type) {
+      case 'exportResults':
+        log(`Export requested from popup: ${message.format}`);
+        sendResponse({ exported: exportResults(message.format) });
+        return false;
+
+      case 'scrollToBatch':
+        log(`Scroll to batch requested: ${message.batchId}`);
+        sendResponse({ found: scrollToBatch(message.batchId) });
+        return false;
+
+      case 'sessionRestored':
+        retryAuthFailures(message.service);
+        return false;
+
+      case 'ping':
+        sendResponse({ pong: true, page: 'pickingConsole', warehouseId: CONFIG.warehouseId });
+        return false;
+
+      case 'getSummary':
+        sendResponse(buildSummary());
+        return false;
+
+      case 'batchResult':
+        receiveSharedResult(message);
+        return false;
+
+      default:
+        return false;
+    }
+  });
+
   // Update status display
   function updateStatus(message) {
     log('Status:', message);
@@ -856,12 +1626,18 @@
     }
   }
 
-  // Initialize
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
-  }
+  // Load settings, then initialize when DOM is ready
+  PcsSettings.onChange(applySettings);
+  PcsSettings.load().then(settings => {
+    applySettings(settings);
+    notifyBackgroundReady();
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  });
 
   log('Content script setup complete');
 
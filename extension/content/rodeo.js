@@ -5,7 +5,7 @@
 (function() {
   'use strict';
 
-  const DEBUG = true;
+  let DEBUG = PcsSettings.DEFAULTS.debug;
 
   function log(...args) {
     if (DEBUG) {
@@ -25,21 +25,33 @@
   log('='.repeat(50));
 
   // Extract warehouse ID from URL
-  function extractWarehouseId() {
+  function extractWarehouseId(fallback) {
     const match = window.location.pathname.match(/\/([A-Z0-9]+)\//);
-    const warehouseId = match ? match[1] : 'IND8';
+    const warehouseId = match ? match[1] : fallback;
     log('Extracted warehouse ID:', warehouseId);
     return warehouseId;
   }
 
-  const warehouseId = extractWarehouseId();
+  let warehouseId = extractWarehouseId(PcsSettings.DEFAULTS.defaultWarehouse);
 
-  // Notify background script that we're ready
-  log('Sending contentScriptReady message to background...');
-  browser.runtime.sendMessage({
-    type: 'contentScriptReady',
-    page: 'rodeo',
-    warehouseId: warehouseId
+  // Apply settings from browser.storage.sync; called on load and on every change
+  function applySettings(settings) {
+    DEBUG = settings.debug;
+    warehouseId = extractWarehouseId(settings.defaultWarehouse);
+  }
+
+  PcsSettings.onChange(applySettings);
+
+  // Load settings, then notify background script that we're ready
+  PcsSettings.load().then(settings => {
+    applySettings(settings);
+
+    log('Sending contentScriptReady message to background...');
+    return browser.runtime.sendMessage({
+      type: 'contentScriptReady',
+      page: 'rodeo',
+      warehouseId: warehouseId
+    });
   }).then(response => {
     log('contentScriptReady response:', response);
   }).catch(err => {
@@ -0,0 +1,100 @@
+// Heavy batch alert rules for Picking Console Size Calculator
+// Rules are stored in browser.storage.sync and evaluated by the background
+// script against each finished batch result.
+
+const AlertRules = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'alertRules';
+
+  // Batch result fields a rule can test, with display labels and units
+  const METRICS = {
+    averageWeight: { label: 'Average weight', unit: 'lbs' },
+    maxWeight: { label: 'Max item weight', unit: 'lbs' },
+    totalWeight: { label: 'Total weight', unit: 'lbs' },
+    totalItems: { label: 'Unit count', unit: 'units' }
+  };
+
+  const DEFAULT_RULES = Object.freeze([
+    { enabled: true, metric: 'averageWeight', threshold: 5, state: 'Ready', pickProcess: '' }
+  ]);
+
+  // Validate a list of rules. Returns { rules, errors } where errors is indexed like the input.
+  function validate(rawRules) {
+    const rules = [];
+    const errors = [];
+
+    (Array.isArray(rawRules) ? rawRules : []).forEach((raw, index) => {
+      const threshold = typeof raw.threshold === 'number' ? raw.threshold : Number(String(raw.threshold).trim());
+
+      if (!METRICS[raw.metric]) {
+        errors[index] = 'Choose what the rule measures';
+      } else if (String(raw.threshold).trim() === '' || !isFinite(threshold) || threshold <= 0) {
+        errors[index] = 'Threshold must be a number greater than 0';
+      } else {
+        rules.push({
+          enabled: raw.enabled !== false,
+          metric: raw.metric,
+          threshold,
+          state: String(raw.state || '').trim(),
+          pickProcess: String(raw.pickProcess || '').trim()
+        });
+      }
+    });
+
+    return { rules, errors };
+  }
+
+  // Rules that fire for a batch. Blank state or pick process matches any.
+  function match(rules, result, context) {
+    return rules.filter(rule =>
+      rule.enabled &&
+      (!rule.state || rule.state === context.state) &&
+      (!rule.pickProcess || rule.pickProcess === context.pickProcess) &&
+      typeof result[rule.metric] === 'number' &&
+      result[rule.metric] >= rule.threshold
+    );
+  }
+
+  // Human-readable summary, e.g. "Average weight ≥ 5 lbs (Ready, MultiSlamPicking)"
+  function describe(rule) {
+    const metric = METRICS[rule.metric];
+    const scope = [rule.state || 'any state', rule.pickProcess || 'any process'].join(', ');
+    return `${metric.label} ≥ ${rule.threshold} ${metric.unit} (${scope})`;
+  }
+
+  async function load() {
+    try {
+      const stored = await browser.storage.sync.get(STORAGE_KEY);
+      if (stored[STORAGE_KEY] === undefined) {
+        return DEFAULT_RULES.map(rule => ({ ...rule }));
+      }
+      return validate(stored[STORAGE_KEY]).rules;
+    } catch (error) {
+      console.error('[AlertRules] Failed to load rules, using defaults:', error);
+      return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+  }
+
+  // Validate and save rules. Rejects with the per-rule errors if any are invalid.
+  async function save(rawRules) {
+    const { rules, errors } = validate(rawRules);
+    if (errors.some(Boolean)) {
+      const error = new Error('Invalid alert rules');
+      error.rules = errors;
+      throw error;
+    }
+    await browser.storage.sync.set({ [STORAGE_KEY]: rules });
+    return rules;
+  }
+
+  function onChange(callback) {
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[STORAGE_KEY]) {
+        callback(validate(changes[STORAGE_KEY].newValue).rules);
+      }
+    });
+  }
+
+  return { METRICS, DEFAULT_RULES, validate, match, describe, load, save, onChange };
+})();
@@ -0,0 +1,55 @@
+// Batch result export rows for Picking Console Size Calculator
+// Used by the Picking Console content script for the CSV and JSON downloads
+// from the floating panel and the popup.
+
+const BatchExport = (() => {
+  'use strict';
+
+  // Export columns, in order
+  const COLUMNS = [
+    'warehouseId', 'batchId', 'state', 'pickProcess', 'totalUnits',
+    'averageWeight', 'totalWeight', 'minWeight', 'maxWeight', 'totalItems', 'uniqueSKUs',
+    'totalVolume', 'averageVolume', 'coverage', 'qualityFlags', 'overrideSKUs', 'fetchedAt', 'error'
+  ];
+
+  // One export row for a batch result, joined with its Picking Console API data.
+  // context is { warehouseId, state }, the page's warehouse and state filter.
+  function buildRow(batchId, result, apiData, context) {
+    const quality = result.quality || null;
+    return {
+      warehouseId: context.warehouseId,
+      batchId,
+      state: apiData.state || context.state,
+      pickProcess: apiData.pickProcess || apiData.pickProcessType || null,
+      totalUnits: apiData.totalUnits ?? null,
+      averageWeight: result.averageWeight ?? null,
+      totalWeight: result.totalWeight ?? null,
+      minWeight: result.minWeight ?? null,
+      maxWeight: result.maxWeight ?? null,
+      totalItems: result.totalItems ?? null,
+      uniqueSKUs: result.uniqueSKUs ?? null,
+      totalVolume: result.totalVolume ?? null,
+      averageVolume: result.averageVolume ?? null,
+      coverage: result.coverage ?? null,
+      qualityFlags: quality ? quality.flags.join(' ') : null,
+      overrideSKUs: quality && quality.overrideSKUs && quality.overrideSKUs.length > 0 ? quality.overrideSKUs.join(' ') : null,
+      fetchedAt: result.fetchedAt || null,
+      error: result.error || null
+    };
+  }
+
+  // Quote a CSV field when it contains a delimiter, quote or newline
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(rows) {
+    const lines = [COLUMNS.join(',')];
+    rows.forEach(row => lines.push(COLUMNS.map(col => csvField(row[col])).join(',')));
+    return lines.join('\n') + '\n';
+  }
+
+  return { COLUMNS, buildRow, csvField, toCSV };
+})();
@@ -0,0 +1,202 @@
+// Weight cache import/export for Picking Console Size Calculator
+// Writes the weight cache and manual overrides to a versioned JSON or CSV file
+// and reads such files back, so a lead can hand a pre-warmed cache to the
+// whole shift. Merging into the cache and overrides is up to the caller.
+// CSV fields are quoted by lib/batchExport.js, which has to be loaded first.
+
+const CacheTransfer = (() => {
+  'use strict';
+
+  const FORMAT = 'pcs-weight-cache';
+  const VERSION = 1;
+
+  const CSV_COLUMNS = ['version', 'kind', 'warehouseId', 'fnsku', 'weight', 'length', 'width', 'height', 'source', 'timestamp', 'note'];
+  const CACHE_SOURCES = ['table', 'fallback', 'pageText'];
+
+  // Imported cache weights fetched longer ago than this are skipped as stale,
+  // whatever the cache duration: a file from the previous shift is still
+  // useful, one from last week is not
+  const MAX_IMPORT_AGE_MS = 24 * 60 * 60 * 1000;
+
+  // Timestamps from another machine may run slightly ahead of this clock
+  const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+  // Export payload from cache entries (as listed for the cache page) and overrides keyed like the cache
+  function build(entries, overrides) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      cache: entries.map(entry => ({
+        warehouseId: entry.warehouseId,
+        fnsku: entry.fnsku,
+        weight: entry.weight,
+        dimensions: entry.dimensions
+          ? { length: entry.dimensions.length, width: entry.dimensions.width, height: entry.dimensions.height }
+          : null,
+        source: entry.source,
+        // When FC Research was asked, not when an imported entry arrived here
+        timestamp: new Date(entry.fetchedAt || entry.timestamp).toISOString()
+      })),
+      overrides: Object.values(overrides).map(override => ({
+        warehouseId: override.warehouseId,
+        fnsku: override.fnsku,
+        weight: override.weight,
+        note: override.note,
+        timestamp: new Date(override.updatedAt).toISOString()
+      }))
+    };
+  }
+
+  function toJSON(data) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  // One row per cache entry and per override, told apart by the kind column
+  function toCSV(data) {
+    const rows = [
+      ...data.cache.map(entry => ({ kind: 'cache', ...entry, ...(entry.dimensions || {}) })),
+      ...data.overrides.map(override => ({ kind: 'override', ...override }))
+    ];
+    const lines = [CSV_COLUMNS.join(',')];
+    rows.forEach(row => lines.push(CSV_COLUMNS.map(col => BatchExport.csvField(col === 'version' ? data.version : row[col])).join(',')));
+    return lines.join('\n') + '\n';
+  }
+
+  // Split CSV text into rows of fields, honoring quoted fields
+  function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  // CSV text to the same shape as the JSON payload
+  function fromCSV(text) {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header || !CSV_COLUMNS.every(col => header.includes(col))) {
+      throw new Error(`Not a weight cache export: expected columns ${CSV_COLUMNS.join(', ')}`);
+    }
+
+    const data = { format: FORMAT, version: null, cache: [], overrides: [] };
+    for (const fields of rows) {
+      const row = Object.fromEntries(header.map((col, index) => [col, fields[index] ?? '']));
+      data.version = data.version ?? Number(row.version);
+      if (row.kind === 'override') {
+        data.overrides.push({ warehouseId: row.warehouseId, fnsku: row.fnsku, weight: row.weight, note: row.note, timestamp: row.timestamp });
+      } else {
+        const dimensions = row.length || row.width || row.height
+          ? { length: row.length, width: row.width, height: row.height }
+          : null;
+        data.cache.push({ warehouseId: row.warehouseId, fnsku: row.fnsku, weight: row.weight, dimensions, source: row.source, timestamp: row.timestamp });
+      }
+    }
+    data.version = data.version ?? VERSION;
+    return data;
+  }
+
+  // ISO string or epoch milliseconds; null unless it is a real time not in the future
+  function parseTimestamp(value) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time) || time <= 0 || time > Date.now() + CLOCK_SKEW_MS) return null;
+    return Math.min(time, Date.now());
+  }
+
+  function positiveNumber(value) {
+    const number = Number(value);
+    return value !== '' && value !== null && Number.isFinite(number) && number > 0 ? number : null;
+  }
+
+  // Validate one imported cache entry. Returns it normalized, or null.
+  function cleanCacheEntry(raw) {
+    const warehouseId = String(raw.warehouseId || '').trim().toUpperCase();
+    const fnsku = String(raw.fnsku || '').trim().toUpperCase();
+    const weight = positiveNumber(raw.weight);
+    const timestamp = parseTimestamp(raw.timestamp);
+    const source = raw.source || 'table';
+    if (!/^[A-Z0-9]{3,5}$/.test(warehouseId) || !/^[A-Z0-9]{10}$/.test(fnsku) ||
+        weight === null || timestamp === null || !CACHE_SOURCES.includes(source)) {
+      return null;
+    }
+
+    let dimensions = null;
+    if (raw.dimensions) {
+      const [length, width, height] = ['length', 'width', 'height'].map(side => positiveNumber(raw.dimensions[side]));
+      if (length === null || width === null || height === null) return null;
+      dimensions = { length, width, height, volume: Math.round(length * width * height * 100) / 100 };
+    }
+
+    return { warehouseId, fnsku, weight, dimensions, source, timestamp };
+  }
+
+  // Read an exported JSON or CSV file. Returns { cache, overrides, invalid }:
+  // valid cache entries, overrides for WeightOverrides.merge (with updatedAt,
+  // still to be validated there) and the number of cache rows dropped.
+  // Throws if the file is not an export or is from a newer version.
+  function parse(text) {
+    const trimmed = String(text || '').trim();
+    let data;
+    if (trimmed.startsWith('{')) {
+      try {
+        data = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+      }
+      if (data.format !== FORMAT) {
+        throw new Error('Not a weight cache export');
+      }
+    } else {
+      data = fromCSV(trimmed);
+    }
+
+    if (!Number.isInteger(Number(data.version)) || Number(data.version) < 1 || Number(data.version) > VERSION) {
+      throw new Error(`Unsupported export version ${data.version}; this extension reads up to version ${VERSION}`);
+    }
+
+    const cache = (Array.isArray(data.cache) ? data.cache : []).map(raw => cleanCacheEntry(raw || {}));
+    const overrides = (Array.isArray(data.overrides) ? data.overrides : []).map(raw => ({
+      ...raw,
+      updatedAt: parseTimestamp(raw && raw.timestamp)
+    }));
+
+    return {
+      cache: cache.filter(Boolean),
+      overrides,
+      invalid: cache.filter(entry => entry === null).length
+    };
+  }
+
+  return { FORMAT, VERSION, CSV_COLUMNS, MAX_IMPORT_AGE_MS, build, toJSON, toCSV, parse };
+})();
@@ -0,0 +1,39 @@
+// DOM helpers for Picking Console Size Calculator
+// Shared by the Picking Console content script and the options and cache
+// pages: element creation, file downloads and per-field form errors.
+
+const DomHelpers = (() => {
+  'use strict';
+
+  // Create an element with optional classes and text
+  function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = text;
+    return element;
+  }
+
+  // Trigger a browser download for generated content
+  function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Show per-field validation messages in a form (pass {} to clear). Each
+  // [data-error-for] element names the form control it belongs to.
+  function showErrors(form, errors) {
+    form.querySelectorAll('[data-error-for]').forEach(el => {
+      const key = el.dataset.errorFor;
+      el.textContent = errors[key] || '';
+      form.elements[key].classList.toggle('invalid', !!errors[key]);
+    });
+  }
+
+  return { createElement, downloadFile, showErrors };
+})();
@@ -0,0 +1,88 @@
+// Batch weight history for Picking Console Size Calculator
+// Stores one snapshot per fetch cycle in IndexedDB (background page only),
+// keyed by warehouse, state, pick process and timestamp. Snapshots without a
+// pick process filter are stored with pickProcess '' (IndexedDB keys can't be null).
+
+const HistoryStore = (() => {
+  'use strict';
+
+  const DB_NAME = 'pcs-history';
+  const DB_VERSION = 2;
+  const STORE = 'snapshots';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          // Version 1 had no pick process in the key; its snapshots mix
+          // processes and only covered the retention window, so start over
+          if (event.oldVersion < 2 && db.objectStoreNames.contains(STORE)) {
+            db.deleteObjectStore(STORE);
+          }
+          const store = db.createObjectStore(STORE, {
+            keyPath: ['warehouseId', 'state', 'pickProcess', 'timestamp']
+          });
+          store.createIndex('timestamp', 'timestamp');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Wrap an IDBRequest in a promise
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Save a snapshot: { warehouseId, state, pickProcess, timestamp, batches, aggregate }.
+  // A snapshot with the same key as a stored one replaces it.
+  async function add(snapshot) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    await promisify(tx.objectStore(STORE).put(snapshot));
+  }
+
+  // Snapshots for a warehouse, state and pick process since a timestamp, oldest first
+  async function list(warehouseId, state, pickProcess, since) {
+    const db = await openDb();
+    const range = IDBKeyRange.bound([warehouseId, state, pickProcess, since], [warehouseId, state, pickProcess, Infinity]);
+    const tx = db.transaction(STORE, 'readonly');
+    return promisify(tx.objectStore(STORE).getAll(range));
+  }
+
+  // Delete every snapshot older than the cutoff. Returns the number removed.
+  async function prune(cutoff) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const index = tx.objectStore(STORE).index('timestamp');
+    let removed = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return removed;
+  }
+
+  return { add, list, prune };
+})();
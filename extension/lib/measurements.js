@@ -0,0 +1,88 @@
+// Unit-aware weight and dimension parsing for Picking Console Size Calculator
+// Shared by the background script and the FC Research content script. Weights
+// are normalized to pounds and dimensions to inches, whatever unit the site
+// shows; formatWeight converts back for display.
+
+const Measurements = (() => {
+  'use strict';
+
+  const POUNDS_PER_KILOGRAM = 2.20462262;
+
+  // Pounds per unit, keyed by the lower-cased unit as written on the page
+  const WEIGHT_UNITS = {
+    pound: 1, pounds: 1, lb: 1, lbs: 1,
+    ounce: 1 / 16, ounces: 1 / 16, oz: 1 / 16,
+    kilogram: POUNDS_PER_KILOGRAM, kilograms: POUNDS_PER_KILOGRAM, kg: POUNDS_PER_KILOGRAM, kgs: POUNDS_PER_KILOGRAM,
+    gram: POUNDS_PER_KILOGRAM / 1000, grams: POUNDS_PER_KILOGRAM / 1000, g: POUNDS_PER_KILOGRAM / 1000
+  };
+
+  // Inches per unit; dimensions without a unit are taken as inches
+  const LENGTH_UNITS = {
+    inch: 1, inches: 1, in: 1,
+    centimeter: 1 / 2.54, centimeters: 1 / 2.54, cm: 1 / 2.54,
+    millimeter: 1 / 25.4, millimeters: 1 / 25.4, mm: 1 / 25.4
+  };
+
+  // Thousands-grouped ("1,234.56") before plain or decimal-comma numbers, and
+  // never starting in the middle of a longer number
+  const NUMBER = '(?<![\\d.,])(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?|[.,]\\d+)';
+  const WEIGHT_PATTERN = new RegExp(`${NUMBER}\\s*(pounds?|lbs?|ounces?|oz|kilograms?|kgs?|grams?|g)\\b`, 'gi');
+  const DIMENSIONS_PATTERN = new RegExp(
+    `${NUMBER}\\s*x\\s*${NUMBER}\\s*x\\s*${NUMBER}\\s*(inch(?:es)?|in|centimeters?|cm|millimeters?|mm)?\\b`, 'i'
+  );
+
+  // Commas grouping thousands ("1,234", "1,234.56") are dropped; any other
+  // comma is a decimal comma ("0,79")
+  function toNumber(raw) {
+    const normalized = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(raw) ? raw.replace(/,/g, '') : raw.replace(',', '.');
+    return parseFloat(normalized);
+  }
+
+  function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
+  // Parse the first weight with a recognized unit in text.
+  // Returns { value, unit, pounds } or null. Bare numbers are not weights.
+  function parseWeight(text) {
+    WEIGHT_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = WEIGHT_PATTERN.exec(String(text || ''))) !== null) {
+      // A capital G after a number is "5G" the network, not grams
+      if (match[2] === 'G') continue;
+
+      const value = toNumber(match[1]);
+      if (!isNaN(value) && value > 0) {
+        const unit = match[2].toLowerCase();
+        return { value, unit, pounds: round(value * WEIGHT_UNITS[unit], 5) };
+      }
+    }
+    return null;
+  }
+
+  // Parse "L x W x H unit" into inches. Returns { length, width, height, volume } or null.
+  function parseDimensions(text) {
+    const match = String(text || '').match(DIMENSIONS_PATTERN);
+    if (!match) return null;
+
+    const toInches = LENGTH_UNITS[(match[4] || 'in').toLowerCase()];
+    const [length, width, height] = match.slice(1, 4).map(v => round(toNumber(v) * toInches, 2));
+    if ([length, width, height].some(v => isNaN(v) || v <= 0)) {
+      return null;
+    }
+
+    return { length, width, height, volume: round(length * width * height, 2) };
+  }
+
+  // Format a weight in pounds for display as 'lbs' or 'kg'
+  function formatWeight(pounds, unit = 'lbs', digits = 2) {
+    if (pounds === null || pounds === undefined) return '—';
+    if (unit === 'kg') {
+      return `${(pounds / POUNDS_PER_KILOGRAM).toFixed(digits)} kg`;
+    }
+    return `${pounds.toFixed(digits)} lbs`;
+  }
+
+  return { POUNDS_PER_KILOGRAM, parseWeight, parseDimensions, formatWeight };
+})();
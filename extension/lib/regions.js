@@ -0,0 +1,47 @@
+// Region host model for Picking Console Size Calculator
+// Each region has its own Picking Console, Rodeo and FC Research hosts.
+// The manifest's permissions and content-script matches must list every host here.
+
+const Regions = (() => {
+  'use strict';
+
+  const REGIONS = {
+    NA: {
+      label: 'North America',
+      pickingConsole: 'picking-console.na.picking.aft.a2z.com',
+      rodeo: 'rodeo-iad.amazon.com',
+      fcResearch: 'fcresearch-na.aka.amazon.com'
+    },
+    EU: {
+      label: 'Europe',
+      pickingConsole: 'picking-console.eu.picking.aft.a2z.com',
+      rodeo: 'rodeo-dub.amazon.com',
+      fcResearch: 'fcresearch-eu.aka.amazon.com'
+    },
+    FE: {
+      label: 'Far East',
+      pickingConsole: 'picking-console.fe.picking.aft.a2z.com',
+      rodeo: 'rodeo-nrt.amazon.com',
+      fcResearch: 'fcresearch-fe.aka.amazon.com'
+    }
+  };
+
+  const DEFAULT_REGION = 'NA';
+
+  // Region whose hosts include this hostname, or null (e.g. the mock server)
+  function fromHostname(hostname) {
+    for (const [key, region] of Object.entries(REGIONS)) {
+      if ([region.pickingConsole, region.rodeo, region.fcResearch].includes(hostname)) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  // Hosts for a region key, falling back to the default region
+  function hosts(region) {
+    return REGIONS[region] || REGIONS[DEFAULT_REGION];
+  }
+
+  return { REGIONS, DEFAULT_REGION, fromHostname, hosts };
+})();
@@ -0,0 +1,200 @@
+// Shared request queue for Picking Console Size Calculator
+// Every Rodeo and FC Research request from the background script goes through
+// here so the extension stays under a per-host request rate, retries HTTP 429
+// and 5xx responses with exponential backoff, and never runs more than
+// `concurrency` requests at once.
+
+const RequestScheduler = (() => {
+  'use strict';
+
+  const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+  let limits = {
+    concurrency: 5,
+    requestsPerSecond: 5,
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    debug: false
+  };
+
+  const queue = [];
+  const hosts = new Map();
+  const totals = { sent: 0, succeeded: 0, retried: 0, failed: 0, cancelled: 0 };
+  let active = 0;
+  let wakeTimer = null;
+  let wakeAt = null;
+
+  function log(...args) {
+    if (limits.debug) {
+      const timestamp = new Date().toISOString().substr(11, 12);
+      console.log(`[Scheduler ${timestamp}]`, ...args);
+    }
+  }
+
+  // Update limits; unspecified keys keep their current value
+  function configure(newLimits) {
+    limits = { ...limits, ...newLimits };
+    pump();
+  }
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { nextSlot: 0, backoffUntil: 0, active: 0, lastStatus: null, retries: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  // Queue a fetch. Resolves with the final Response (which may still be a
+  // 429/5xx once retries run out) or rejects with the last network error.
+  // Aborting options.signal drops a queued request or aborts a running one.
+  function schedule(url, options = {}) {
+    return new Promise((resolve, reject) => {
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const request = { url, options, host: new URL(url).host, attempt: 0, notBefore: 0, resolve, reject };
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = queue.indexOf(request);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            totals.cancelled++;
+            reject(signal.reason);
+          }
+        }, { once: true });
+      }
+
+      queue.push(request);
+      pump();
+    });
+  }
+
+  // Delay before retry number `attempt` (1-based): a server Retry-After wins,
+  // otherwise exponential backoff jittered between half and full delay so a
+  // burst of failures doesn't retry in lockstep
+  function backoffDelay(attempt, retryAfterHeader) {
+    const retryAfterSeconds = Number(retryAfterHeader);
+    if (retryAfterHeader && Number.isFinite(retryAfterSeconds) && retryAfterSeconds >= 0) {
+      return Math.min(retryAfterSeconds * 1000, limits.maxDelayMs);
+    }
+    const exponential = Math.min(limits.baseDelayMs * 2 ** (attempt - 1), limits.maxDelayMs);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // Start every queued request that its host and the global limit allow,
+  // then sleep until the next one becomes eligible
+  function pump() {
+    const now = Date.now();
+    let nextWake = Infinity;
+
+    for (let i = 0; i < queue.length && active < limits.concurrency; i++) {
+      const request = queue[i];
+      const host = hostState(request.host);
+      const readyAt = Math.max(request.notBefore, host.nextSlot, host.backoffUntil);
+
+      if (readyAt > now) {
+        nextWake = Math.min(nextWake, readyAt);
+        continue;
+      }
+
+      queue.splice(i, 1);
+      i--;
+      host.nextSlot = now + 1000 / limits.requestsPerSecond;
+      start(request, host);
+    }
+
+    if (nextWake !== Infinity && (wakeAt === null || nextWake < wakeAt)) {
+      clearTimeout(wakeTimer);
+      wakeAt = nextWake;
+      wakeTimer = setTimeout(() => {
+        wakeAt = null;
+        wakeTimer = null;
+        pump();
+      }, nextWake - now);
+    }
+  }
+
+  async function start(request, host) {
+    active++;
+    host.active++;
+    totals.sent++;
+    request.attempt++;
+
+    let response = null;
+    let networkError = null;
+    try {
+      response = await fetch(request.url, request.options);
+      host.lastStatus = response.status;
+    } catch (error) {
+      networkError = error;
+      host.lastStatus = 'network error';
+    }
+
+    active--;
+    host.active--;
+
+    const signal = request.options.signal;
+    const retryable = networkError || RETRYABLE_STATUSES.has(response.status);
+    if (signal && signal.aborted) {
+      totals.cancelled++;
+      request.reject(signal.reason);
+    } else if (retryable && request.attempt <= limits.maxRetries) {
+      const delay = backoffDelay(request.attempt, response && response.headers && response.headers.get('Retry-After'));
+      request.notBefore = Date.now() + delay;
+      // A 429 means the whole host wants us to slow down, not just this request
+      if (response && response.status === 429) {
+        host.backoffUntil = Math.max(host.backoffUntil, request.notBefore);
+      }
+      host.retries++;
+      totals.retried++;
+      log(`Retry ${request.attempt}/${limits.maxRetries} for ${request.url} in ${delay}ms (${host.lastStatus})`);
+      queue.unshift(request);
+    } else if (networkError) {
+      totals.failed++;
+      request.reject(networkError);
+    } else {
+      if (retryable) {
+        totals.failed++;
+        log(`Giving up on ${request.url} after ${request.attempt} attempts (${response.status})`);
+      } else {
+        totals.succeeded++;
+      }
+      request.resolve(response);
+    }
+
+    pump();
+  }
+
+  // Snapshot of the queue for getStatus
+  function getState() {
+    const now = Date.now();
+    const hostStates = {};
+    for (const [name, host] of hosts) {
+      hostStates[name] = {
+        active: host.active,
+        queued: queue.filter(request => request.host === name).length,
+        backoffMs: Math.max(0, host.backoffUntil - now),
+        lastStatus: host.lastStatus,
+        retries: host.retries
+      };
+    }
+
+    return {
+      active,
+      queued: queue.length,
+      limits: {
+        concurrency: limits.concurrency,
+        requestsPerSecond: limits.requestsPerSecond,
+        maxRetries: limits.maxRetries
+      },
+      totals: { ...totals },
+      hosts: hostStates
+    };
+  }
+
+  return { configure, schedule, getState };
+})();
@@ -0,0 +1,119 @@
+// Shared settings for Picking Console Size Calculator
+// Loaded by the background script, content scripts, popup and options page.
+// Values live in browser.storage.sync so they follow the user between browsers.
+
+const PcsSettings = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  // Field definitions: default value plus validation rules
+  const FIELDS = {
+    autoFetchMinutes: { type: 'integer', default: 15, min: 1, max: 240, label: 'Auto-refresh interval' },
+    tableRecheckMs: { type: 'integer', default: 500, min: 100, max: 10000, label: 'Table re-check delay' },
+    concurrency: { type: 'integer', default: 5, min: 1, max: 20, label: 'Concurrent requests' },
+    requestsPerSecond: { type: 'integer', default: 5, min: 1, max: 50, label: 'Requests per second per host' },
+    maxRetries: { type: 'integer', default: 3, min: 0, max: 10, label: 'Retries per request' },
+    cacheMinutes: { type: 'integer', default: 30, min: 1, max: 1440, label: 'Weight cache duration' },
+    minCoverage: { type: 'integer', default: 0, min: 0, max: 100, label: 'Minimum weight coverage' },
+    historyRetentionHours: { type: 'integer', default: 24, min: 1, max: 720, label: 'History retention' },
+    defaultWarehouse: { type: 'warehouse', default: 'IND8', label: 'Fallback warehouse' },
+    region: { type: 'choice', default: 'NA', options: ['NA', 'EU', 'FE'], label: 'Fallback region' },
+    weightUnit: { type: 'choice', default: 'lbs', options: ['lbs', 'kg'], label: 'Weight display unit' },
+    debug: { type: 'boolean', default: true, label: 'Debug logging' }
+  };
+
+  const DEFAULTS = Object.freeze(
+    Object.fromEntries(Object.entries(FIELDS).map(([key, field]) => [key, field.default]))
+  );
+
+  // Validate a single value. Returns { value } or { error }.
+  function validateField(key, raw) {
+    const field = FIELDS[key];
+
+    switch (field.type) {
+      case 'integer': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isInteger(value) || String(raw).trim() === '') {
+          return { error: `${field.label} must be a whole number` };
+        }
+        if (value < field.min || value > field.max) {
+          return { error: `${field.label} must be between ${field.min} and ${field.max}` };
+        }
+        return { value };
+      }
+      case 'warehouse': {
+        const value = String(raw || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{3,5}$/.test(value)) {
+          return { error: `${field.label} must be a 3-5 character warehouse ID (e.g. IND8)` };
+        }
+        return { value };
+      }
+      case 'choice': {
+        const text = String(raw || '').trim().toLowerCase();
+        const value = field.options.find(option => option.toLowerCase() === text);
+        if (!value) {
+          return { error: `${field.label} must be one of ${field.options.join(', ')}` };
+        }
+        return { value };
+      }
+      case 'boolean':
+        return { value: raw === true || raw === 'true' };
+      default:
+        return { error: `Unknown setting type for ${key}` };
+    }
+  }
+
+  // Validate a settings object. Unknown keys are dropped; missing keys use defaults.
+  // Returns { settings, errors } where errors maps field key -> message.
+  function validate(raw) {
+    const settings = { ...DEFAULTS };
+    const errors = {};
+
+    for (const key of Object.keys(FIELDS)) {
+      if (!raw || raw[key] === undefined) continue;
+      const result = validateField(key, raw[key]);
+      if (result.error) {
+        errors[key] = result.error;
+      } else {
+        settings[key] = result.value;
+      }
+    }
+
+    return { settings, errors };
+  }
+
+  // Load settings from sync storage, falling back to defaults for bad values
+  async function load() {
+    try {
+      const stored = await browser.storage.sync.get(STORAGE_KEY);
+      return validate(stored[STORAGE_KEY]).settings;
+    } catch (error) {
+      console.error('[Settings] Failed to load settings, using defaults:', error);
+      return { ...DEFAULTS };
+    }
+  }
+
+  // Validate and save settings. Rejects with the field errors if any are invalid.
+  async function save(raw) {
+    const { settings, errors } = validate(raw);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Invalid settings');
+      error.fields = errors;
+      throw error;
+    }
+    await browser.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  // Call back with the new validated settings whenever they change
+  function onChange(callback) {
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[STORAGE_KEY]) {
+        callback(validate(changes[STORAGE_KEY].newValue).settings);
+      }
+    });
+  }
+
+  return { FIELDS, DEFAULTS, validate, load, save, onChange };
+})();
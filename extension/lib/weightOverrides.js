@@ -0,0 +1,154 @@
+// Manual FN SKU weight overrides for Picking Console Size Calculator
+// Pinned by a lead on the cache page when FC Research has a wrong or missing
+// weight. Stored in browser.storage.local (per warehouse, in pounds) and used
+// by the background script ahead of the cache and FC Research. Writes go
+// through the background (the cache page sends saveOverride/removeOverride),
+// so the write queue below covers all of them.
+
+const WeightOverrides = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'weightOverrides';
+  const MAX_WEIGHT = 2000; // lbs
+  const MAX_NOTE_LENGTH = 200;
+
+  // Tail of the pending writes. Each write reads, changes and stores the whole
+  // overrides object, so they run one at a time or one would undo the other.
+  let writeQueue = Promise.resolve();
+
+  function queueWrite(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Same key format as the weight cache: "IND8:X0025W7YI3"
+  function key(warehouseId, fnsku) {
+    return `${warehouseId}:${fnsku}`;
+  }
+
+  // Validate one override. Returns { override } or { errors } keyed by field.
+  function validate(raw) {
+    const errors = {};
+    const warehouseId = String(raw.warehouseId || '').trim().toUpperCase();
+    const fnsku = String(raw.fnsku || '').trim().toUpperCase();
+    const weight = typeof raw.weight === 'number' ? raw.weight : Number(String(raw.weight).trim());
+    const note = String(raw.note || '').trim();
+
+    if (!/^[A-Z0-9]{3,5}$/.test(warehouseId)) {
+      errors.warehouseId = 'Warehouse must be a 3-5 character ID (e.g. IND8)';
+    }
+    if (!/^[A-Z0-9]{10}$/.test(fnsku)) {
+      errors.fnsku = 'FN SKU must be 10 letters and digits';
+    }
+    if (String(raw.weight).trim() === '' || !isFinite(weight) || weight <= 0 || weight > MAX_WEIGHT) {
+      errors.weight = `Weight must be more than 0 and at most ${MAX_WEIGHT} lbs`;
+    }
+    if (note.length > MAX_NOTE_LENGTH) {
+      errors.note = `Note must be at most ${MAX_NOTE_LENGTH} characters`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { errors };
+    }
+    return {
+      override: {
+        warehouseId,
+        fnsku,
+        weight: Math.round(weight * 100000) / 100000,
+        note,
+        updatedAt: Number(raw.updatedAt) || Date.now()
+      }
+    };
+  }
+
+  // Keep only valid entries of a stored overrides object
+  function clean(stored) {
+    const overrides = {};
+    for (const raw of Object.values(stored || {})) {
+      const { override } = validate(raw || {});
+      if (override) {
+        overrides[key(override.warehouseId, override.fnsku)] = override;
+      }
+    }
+    return overrides;
+  }
+
+  // All overrides, keyed like the weight cache
+  async function load() {
+    try {
+      const stored = await browser.storage.local.get(STORAGE_KEY);
+      return clean(stored[STORAGE_KEY]);
+    } catch (error) {
+      console.error('[WeightOverrides] Failed to load overrides:', error);
+      return {};
+    }
+  }
+
+  // Validate and pin an override, replacing any for the same FN SKU.
+  // Rejects with the per-field errors if it is invalid.
+  async function save(raw) {
+    const { override, errors } = validate({ ...raw, updatedAt: null });
+    if (errors) {
+      const error = new Error('Invalid weight override');
+      error.fields = errors;
+      throw error;
+    }
+
+    return queueWrite(async () => {
+      const overrides = await load();
+      overrides[key(override.warehouseId, override.fnsku)] = override;
+      await browser.storage.local.set({ [STORAGE_KEY]: overrides });
+      return override;
+    });
+  }
+
+  function remove(warehouseId, fnsku) {
+    return queueWrite(async () => {
+      const overrides = await load();
+      delete overrides[key(warehouseId, fnsku)];
+      await browser.storage.local.set({ [STORAGE_KEY]: overrides });
+    });
+  }
+
+  // Merge overrides imported from another browser: per FN SKU the newer
+  // updatedAt wins. Entries without a valid updatedAt are counted invalid.
+  function merge(imported) {
+    return queueWrite(async () => {
+      const overrides = await load();
+      const counts = { added: 0, updated: 0, kept: 0, invalid: 0 };
+
+      for (const raw of imported) {
+        const { override } = raw && raw.updatedAt ? validate(raw) : {};
+        if (!override) {
+          counts.invalid++;
+          continue;
+        }
+
+        const overrideKey = key(override.warehouseId, override.fnsku);
+        const existing = overrides[overrideKey];
+        if (existing && existing.updatedAt >= override.updatedAt) {
+          counts.kept++;
+          continue;
+        }
+        overrides[overrideKey] = override;
+        counts[existing ? 'updated' : 'added']++;
+      }
+
+      if (counts.added + counts.updated > 0) {
+        await browser.storage.local.set({ [STORAGE_KEY]: overrides });
+      }
+      return { overrides, counts };
+    });
+  }
+
+  function onChange(callback) {
+    browser.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[STORAGE_KEY]) {
+        callback(clean(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  return { STORAGE_KEY, MAX_WEIGHT, key, validate, load, save, remove, merge, onChange };
+})();
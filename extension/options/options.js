@@ -0,0 +1,176 @@
+// Options Page Script for Picking Console Size Calculator
+// Settings are validated by lib/settings.js and stored in browser.storage.sync;
+// running scripts pick up changes through storage.onChanged.
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const form = document.getElementById('settings-form');
+  const statusEl = document.getElementById('save-status');
+  const hostOverrideInput = document.getElementById('hostOverride');
+  const rulesContainer = document.getElementById('alert-rules');
+  const ruleTemplate = document.getElementById('rule-template');
+
+  // Fill the form from a settings object
+  function fillForm(settings) {
+    for (const key of Object.keys(PcsSettings.FIELDS)) {
+      const input = document.getElementById(key);
+      if (input.type === 'checkbox') {
+        input.checked = settings[key];
+      } else {
+        input.value = settings[key];
+      }
+    }
+  }
+
+  // Read the raw form values for validation
+  function readForm() {
+    const raw = {};
+    for (const key of Object.keys(PcsSettings.FIELDS)) {
+      const input = document.getElementById(key);
+      raw[key] = input.type === 'checkbox' ? input.checked : input.value;
+    }
+    return raw;
+  }
+
+  function showStatus(message, isError = false) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error-status', isError);
+    if (!isError) {
+      setTimeout(() => {
+        statusEl.textContent = '';
+      }, 2000);
+    }
+  }
+
+  // Add one editable alert rule row
+  function addRuleRow(rule) {
+    const row = ruleTemplate.content.firstElementChild.cloneNode(true);
+    const metricSelect = row.querySelector('.rule-metric');
+    for (const [key, metric] of Object.entries(AlertRules.METRICS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${metric.label} (${metric.unit})`;
+      metricSelect.appendChild(option);
+    }
+
+    row.querySelector('.rule-enabled').checked = rule.enabled;
+    metricSelect.value = rule.metric;
+    row.querySelector('.rule-threshold').value = rule.threshold;
+    row.querySelector('.rule-state').value = rule.state;
+    row.querySelector('.rule-process').value = rule.pickProcess;
+    row.querySelector('.rule-remove').addEventListener('click', () => row.remove());
+
+    rulesContainer.appendChild(row);
+  }
+
+  function fillRules(rules) {
+    while (rulesContainer.firstChild) {
+      rulesContainer.removeChild(rulesContainer.firstChild);
+    }
+    rules.forEach(addRuleRow);
+  }
+
+  function readRules() {
+    return Array.from(rulesContainer.querySelectorAll('.rule'), row => ({
+      enabled: row.querySelector('.rule-enabled').checked,
+      metric: row.querySelector('.rule-metric').value,
+      threshold: row.querySelector('.rule-threshold').value,
+      state: row.querySelector('.rule-state').value,
+      pickProcess: row.querySelector('.rule-process').value
+    }));
+  }
+
+  // Show per-rule validation messages, indexed like the rule rows
+  function showRuleErrors(errors) {
+    rulesContainer.querySelectorAll('.rule').forEach((row, index) => {
+      row.querySelector('.rule-error').textContent = errors[index] || '';
+      row.classList.toggle('invalid', !!errors[index]);
+    });
+  }
+
+  document.getElementById('btn-add-rule').addEventListener('click', () => {
+    addRuleRow({ enabled: true, metric: 'averageWeight', threshold: '', state: 'Ready', pickProcess: '' });
+  });
+
+  // Hosts the manifest lists as optional permissions for the mock server
+  const MOCK_HOSTS = ['localhost', '127.0.0.1'];
+
+  // Validate the development host override; empty means none
+  function validateHostOverride(value) {
+    const trimmed = value.trim();
+    if (!trimmed) return { value: null };
+    try {
+      const url = new URL(trimmed);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'Host override must be an http or https URL' };
+      }
+      if (!MOCK_HOSTS.includes(url.hostname)) {
+        return { error: `Host override must be on ${MOCK_HOSTS.join(' or ')} (the local mock server)` };
+      }
+      return { value: url.origin, permission: `${url.protocol}//${url.hostname}/*` };
+    } catch (e) {
+      return { error: 'Host override must be a full URL, e.g. http://localhost:8642' };
+    }
+  }
+
+  try {
+    fillForm(await PcsSettings.load());
+    fillRules(await AlertRules.load());
+    const stored = await browser.storage.local.get('hostOverride');
+    hostOverrideInput.value = stored.hostOverride || '';
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    showStatus('Could not load settings', true);
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const { errors } = PcsSettings.validate(readForm());
+    const host = validateHostOverride(hostOverrideInput.value);
+    if (host.error) {
+      errors.hostOverride = host.error;
+    }
+
+    const ruleErrors = AlertRules.validate(readRules()).errors;
+
+    DomHelpers.showErrors(form, errors);
+    showRuleErrors(ruleErrors);
+    if (Object.keys(errors).length > 0 || ruleErrors.some(Boolean)) {
+      showStatus('Fix the highlighted fields', true);
+      return;
+    }
+
+    // Asked for here, before anything else is awaited, so the request still counts as a user action
+    if (host.value && !(await browser.permissions.request({ origins: [host.permission] }))) {
+      DomHelpers.showErrors(form, { hostOverride: `Allow access to ${new URL(host.value).hostname} to use the mock server` });
+      showStatus('Fix the highlighted fields', true);
+      return;
+    }
+
+    try {
+      fillForm(await PcsSettings.save(readForm()));
+      fillRules(await AlertRules.save(readRules()));
+      if (host.value) {
+        await browser.storage.local.set({ hostOverride: host.value });
+      } else {
+        await browser.storage.local.remove('hostOverride');
+        await browser.permissions.remove({ origins: MOCK_HOSTS.map(hostname => `*://${hostname}/*`) });
+      }
+      hostOverrideInput.value = host.value || '';
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      DomHelpers.showErrors(form, error.fields || {});
+      showRuleErrors(error.rules || []);
+      showStatus('Could not save settings', true);
+    }
+  });
+
+  document.getElementById('btn-reset').addEventListener('click', () => {
+    fillForm(PcsSettings.DEFAULTS);
+    fillRules(AlertRules.DEFAULT_RULES);
+    hostOverrideInput.value = '';
+    DomHelpers.showErrors(form, {});
+    showStatus('Defaults restored - click Save to apply');
+  });
+});
@@ -1,14 +1,30 @@
 // Popup Script for Picking Console Size Calculator
 
+// How often the dashboard re-reads the Picking Console tab while the popup is open
+const DASHBOARD_REFRESH_MS = 2000;
+
+const BATCH_ID_PATTERN = /^\d{8,}$/;
+const FNSKU_PATTERN = /^[A-Z0-9]{10}$/;
+
 document.addEventListener('DOMContentLoaded', async () => {
+  const settings = await PcsSettings.load();
+  // Latest summary from the Picking Console tab, or null when none is open
+  let summary = null;
+
+  function formatWeight(pounds) {
+    return Measurements.formatWeight(pounds, settings.weightUnit);
+  }
+
+  // Picking Console of the fallback region from the settings page
+  document.getElementById('link-picking-console').href = `https://${Regions.hosts(settings.region).pickingConsole}`;
+
   // Get status from background script
   try {
     const status = await browser.runtime.sendMessage({ type: 'getStatus' });
+    showExpiredSessions(status.expiredSessions || {});
 
     // Update connection indicators
-    document.getElementById('status-picking').classList.toggle('connected', status.connectedTabs.pickingConsole);
-    document.getElementById('status-rodeo').classList.toggle('connected', status.connectedTabs.rodeo);
-    document.getElementById('status-fcresearch').classList.toggle('connected', status.connectedTabs.fcresearch);
+    showConnectedTabs(status.connectedTabs || {});
 
     // Update cache count
     document.getElementById('cache-count').textContent = status.cacheSize;
@@ -16,6 +32,274 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.error('Error getting status:', error);
   }
 
+  // Light each page type that has a connected tab and list those tabs under it
+  function showConnectedTabs(connectedTabs) {
+    const indicators = { pickingConsole: 'status-picking', rodeo: 'status-rodeo', fcresearch: 'status-fcresearch' };
+    for (const [page, indicatorId] of Object.entries(indicators)) {
+      const tabs = connectedTabs[page] || [];
+      document.getElementById(indicatorId).classList.toggle('connected', tabs.length > 0);
+      document.getElementById(`tabs-${page}`).replaceChildren(...tabs.map(createTabItem));
+    }
+  }
+
+  // One connected tab: its warehouse and title; clicking switches to it
+  function createTabItem(tab) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.title = tab.url || '';
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      focusTab(tab.tabId);
+    });
+
+    const warehouse = document.createElement('span');
+    warehouse.className = 'tab-warehouse';
+    warehouse.textContent = tab.warehouseId || '—';
+    const title = document.createElement('span');
+    title.className = 'tab-title';
+    title.textContent = tab.title || tab.url || `Tab ${tab.tabId}`;
+
+    link.append(warehouse, title);
+    item.appendChild(link);
+    return item;
+  }
+
+  async function focusTab(tabId) {
+    try {
+      const tab = await browser.tabs.update(tabId, { active: true });
+      await browser.windows.update(tab.windowId, { focused: true });
+      window.close();
+    } catch (error) {
+      console.error('Error focusing tab:', error);
+    }
+  }
+
+  // Dashboard: the Picking Console tab's current view, kept live while the popup is open
+  async function refreshDashboard() {
+    let tab = null;
+    try {
+      tab = await findPickingConsoleTab();
+      summary = tab ? await browser.tabs.sendMessage(tab.id, { type: 'getSummary' }) : null;
+    } catch (error) {
+      console.error('Error getting batch summary:', error);
+      summary = null;
+    }
+    renderDashboard(tab);
+  }
+
+  function renderDashboard(tab) {
+    document.getElementById('dashboard-empty').hidden = !!summary;
+    document.getElementById('dashboard').hidden = !summary;
+    if (!summary) return;
+
+    document.getElementById('dashboard-filters').textContent =
+      [summary.warehouseId, summary.state, summary.pickProcess || 'All pick processes'].join(' · ');
+    document.getElementById('stat-batches').textContent = summary.batchCount;
+
+    const pending = document.getElementById('stat-pending');
+    pending.textContent = summary.pendingCount;
+    pending.title = `${summary.fetchingCount} fetching now, ${summary.failedCount} failed`;
+
+    const floorAverage = document.getElementById('stat-floor-average');
+    floorAverage.textContent = formatWeight(summary.floorAverage);
+    floorAverage.title = `Average of ${summary.weighedCount} batch averages`;
+
+    document.getElementById('heaviest-batches')
+      .replaceChildren(...summary.heaviest.map(batch => createHeavyBatchItem(batch, tab)));
+    document.getElementById('heaviest-empty').hidden = summary.heaviest.length > 0;
+  }
+
+  // One of the heaviest batches; clicking shows its row in the Picking Console
+  function createHeavyBatchItem(batch, tab) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.title = `${batch.totalItems} units, ${formatWeight(batch.totalWeight)} total. Click to show in the Picking Console.`;
+    link.addEventListener('click', async (e) => {
+      e.preventDefault();
+      try {
+        await browser.tabs.sendMessage(tab.id, { type: 'scrollToBatch', batchId: batch.batchId });
+      } catch (error) {
+        console.error('Error scrolling to batch:', error);
+      }
+      focusTab(tab.id);
+    });
+
+    const id = document.createElement('span');
+    id.className = 'heavy-batch-id';
+    id.textContent = batch.batchId;
+    const weight = document.createElement('span');
+    weight.className = 'heavy-batch-weight';
+    weight.textContent = `${formatWeight(batch.averageWeight)} avg`;
+
+    link.append(id, weight);
+    item.appendChild(link);
+    return item;
+  }
+
+  await refreshDashboard();
+  setInterval(refreshDashboard, DASHBOARD_REFRESH_MS);
+
+  // Lookup box: a batch ID goes through fetchBatchData, an FN SKU through lookupSku.
+  // Uses the Picking Console tab's warehouse, or the fallback warehouse without one.
+  document.getElementById('lookup-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const query = document.getElementById('lookup-input').value.trim().toUpperCase();
+    const lookupBtn = document.getElementById('btn-lookup');
+
+    if (!BATCH_ID_PATTERN.test(query) && !FNSKU_PATTERN.test(query)) {
+      showLookupResult(['Enter a batch ID (8 or more digits) or a 10-character FN SKU.'], { error: true });
+      return;
+    }
+
+    const warehouseId = summary ? summary.warehouseId : settings.defaultWarehouse;
+    const region = summary ? summary.region : settings.region;
+
+    lookupBtn.disabled = true;
+    showLookupResult([`Looking up ${query} in ${warehouseId}...`]);
+    try {
+      if (BATCH_ID_PATTERN.test(query)) {
+        const result = await browser.runtime.sendMessage({
+          type: 'fetchBatchData',
+          batchId: query,
+          warehouseId,
+          region,
+          state: summary ? summary.state : null,
+          pickProcess: summary ? summary.pickProcess : null
+        });
+        showBatchLookup(result, warehouseId);
+      } else {
+        const result = await browser.runtime.sendMessage({ type: 'lookupSku', fnsku: query, warehouseId, region });
+        showSkuLookup(result, warehouseId);
+      }
+    } catch (error) {
+      console.error('Error looking up:', error);
+      showLookupResult([`Lookup failed: ${error.message}`], { error: true });
+    } finally {
+      lookupBtn.disabled = false;
+    }
+  });
+
+  function showBatchLookup(result, warehouseId) {
+    if (result.error) {
+      showLookupResult([`Batch ${result.batchId} (${warehouseId})`, result.error], { error: true });
+      refreshSessionWarning(result.errorType);
+      return;
+    }
+
+    const lines = [
+      `Batch ${result.batchId} (${warehouseId})`,
+      `${formatWeight(result.averageWeight)} avg · ${formatWeight(result.totalWeight)} total`,
+      `Min ${formatWeight(result.minWeight)} · Max ${formatWeight(result.maxWeight)}`,
+      `${result.totalItems} units, ${result.uniqueSKUs} FN SKUs, ${result.coverage}% weighed`
+    ];
+    if (result.quality && result.quality.flags.length > 0) {
+      lines.push(`⚠ Check: ${result.quality.flags.join(', ')}`);
+    }
+    showLookupResult(lines);
+  }
+
+  function showSkuLookup(result, warehouseId) {
+    if (result.weight === null) {
+      showLookupResult([`${result.fnsku} (${warehouseId})`, result.error || 'No weight found'], {
+        error: true,
+        link: result.researchUrl
+      });
+      refreshSessionWarning(result.errorType);
+      return;
+    }
+
+    const lines = [`${result.fnsku} (${warehouseId})`, formatWeight(result.weight)];
+    if (result.dimensions) {
+      const { length, width, height } = result.dimensions;
+      lines.push(`${length} x ${width} x ${height} in`);
+    }
+    if (result.source && result.source !== 'table') {
+      lines.push('⚠ Weight read from an unexpected page layout');
+    }
+    showLookupResult(lines, { link: result.researchUrl });
+  }
+
+  // Render lookup output: the first line is a heading, an optional link opens FC Research
+  function showLookupResult(lines, { error = false, link = null } = {}) {
+    const container = document.getElementById('lookup-result');
+    container.hidden = false;
+    container.classList.toggle('lookup-error', error);
+    container.replaceChildren(...lines.map((text, index) => {
+      const line = document.createElement(index === 0 ? 'strong' : 'p');
+      line.textContent = text;
+      return line;
+    }));
+
+    if (link) {
+      const anchor = document.createElement('a');
+      anchor.href = link;
+      anchor.target = '_blank';
+      anchor.textContent = 'Open in FC Research';
+      container.appendChild(anchor);
+    }
+  }
+
+  // A lookup that hit an expired session shows the sign-in warning right away
+  async function refreshSessionWarning(errorType) {
+    if (errorType !== 'auth') return;
+    const status = await browser.runtime.sendMessage({ type: 'getStatus' });
+    showExpiredSessions(status.expiredSessions || {});
+  }
+
+  // Session expired warning with a sign-in button for the first expired service
+  function showExpiredSessions(expiredSessions) {
+    const services = Object.keys(expiredSessions);
+    const warning = document.getElementById('session-warning');
+    warning.hidden = services.length === 0;
+    if (services.length === 0) return;
+
+    const names = services.map(service => expiredSessions[service].name);
+    document.getElementById('session-warning-text').textContent =
+      `${names.join(' and ')} session expired. Sign in to retry the failed batches.`;
+
+    const signInBtn = document.getElementById('btn-sign-in');
+    signInBtn.textContent = `Sign in to ${names[0]}`;
+    signInBtn.onclick = async () => {
+      try {
+        await browser.runtime.sendMessage({ type: 'openLogin', service: services[0] });
+        window.close();
+      } catch (error) {
+        console.error('Error opening sign-in page:', error);
+      }
+    };
+  }
+
+  // Export buttons: the Picking Console tab builds and downloads the file
+  async function requestExport(format) {
+    const exportStatus = document.getElementById('export-status');
+    try {
+      const tab = await findPickingConsoleTab();
+      if (!tab) {
+        exportStatus.textContent = 'Open the Picking Console to export batch weights.';
+        return;
+      }
+
+      const response = await browser.tabs.sendMessage(tab.id, { type: 'exportResults', format });
+      exportStatus.textContent = response.exported > 0
+        ? `Exported ${response.exported} batches.`
+        : 'No batch weights fetched yet.';
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      exportStatus.textContent = 'Export failed. Reload the Picking Console and try again.';
+    }
+  }
+
+  document.getElementById('btn-export-csv').addEventListener('click', () => requestExport('csv'));
+  document.getElementById('btn-export-json').addEventListener('click', () => requestExport('json'));
+
+  // Manage cache button: cache inspector and manual weight overrides, in a full tab
+  document.getElementById('btn-manage-cache').addEventListener('click', async () => {
+    await browser.tabs.create({ url: browser.runtime.getURL('cache/cache.html') });
+    window.close();
+  });
+
   // Clear cache button
   document.getElementById('btn-clear-cache').addEventListener('click', async () => {
     try {
@@ -33,3 +317,28 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 });
+
+// Prefer the active tab if it is the Picking Console, otherwise any open one
+async function findPickingConsoleTab() {
+  const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (activeTab && isPickingConsoleUrl(activeTab.url)) {
+    return activeTab;
+  }
+
+  const tabs = await browser.tabs.query({});
+  return tabs.find(tab => isPickingConsoleUrl(tab.url)) || null;
+}
+
+// Picking Console in any region, or the mock server's /fc/ pages
+function isPickingConsoleUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (Object.values(Regions.REGIONS).some(region => region.pickingConsole === parsed.hostname)) {
+    return true;
+  }
+  return ['localhost', '127.0.0.1'].includes(parsed.hostname) && parsed.pathname.startsWith('/fc/');
+}
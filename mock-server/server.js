@@ -0,0 +1,255 @@
+// Local mock server for Picking Console Size Calculator
+// Serves the Picking Console batch API, Rodeo search pages and FC Research
+// product lookups from fixtures so the extension can be developed offline.
+//
+// Usage: node mock-server/server.js [--port=8642] [--delay=0] [--login=rodeo|fcresearch|all]
+//                                   [--rate-limit-every=0]
+//
+// Settings can also be changed while running:
+//   curl 'http://localhost:8642/__mock/config?delay=1500&login=fcresearch'
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TEST_FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures');
+
+function log(...args) {
+  const timestamp = new Date().toISOString().substr(11, 12);
+  console.log(`[MockServer ${timestamp}]`, ...args);
+}
+
+// Runtime behavior, adjustable from the command line or /__mock/config
+const config = {
+  port: 8642,
+  delay: 0,            // ms added before every response
+  login: null,         // 'rodeo', 'fcresearch' or 'all' to redirect to a login page
+  rateLimitEvery: 0    // answer every Nth Rodeo/FC Research request with a 429
+};
+
+for (const arg of process.argv.slice(2)) {
+  const match = arg.match(/^--([a-z-]+)=(.*)$/);
+  if (match) {
+    applyConfig(match[1].replace(/-([a-z])/g, (m, c) => c.toUpperCase()), match[2]);
+  }
+}
+
+function applyConfig(key, value) {
+  switch (key) {
+    case 'port':
+    case 'delay':
+    case 'rateLimitEvery':
+      config[key] = parseInt(value, 10) || 0;
+      break;
+    case 'login':
+      config.login = ['rodeo', 'fcresearch', 'all'].includes(value) ? value : null;
+      break;
+    default:
+      log(`Ignoring unknown setting: ${key}`);
+  }
+}
+
+function readFixture(dir, ...parts) {
+  return fs.readFileSync(path.join(dir, ...parts), 'utf8');
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (m, key) => values[key]);
+}
+
+const batchInfo = JSON.parse(readFixture(FIXTURES_DIR, 'batch-info.json'));
+
+// Rodeo pages keyed by batch ID; unknown batches get an empty result table
+const rodeoPages = {
+  '50596849': [readFixture(TEST_FIXTURES_DIR, 'rodeo', 'search-50596849.html')],
+  '50600001': [
+    readFixture(TEST_FIXTURES_DIR, 'rodeo', 'search-paged-1.html'),
+    readFixture(TEST_FIXTURES_DIR, 'rodeo', 'search-paged-2.html')
+  ]
+};
+
+// FC Research products with hand-written fixtures; everything else is generated
+const productFixtures = {
+  'X0025W7YI3': readFixture(TEST_FIXTURES_DIR, 'fcresearch', 'product-pounds.html'),
+  'X002ASJCEV': readFixture(TEST_FIXTURES_DIR, 'fcresearch', 'product-ounces.html'),
+  'X00244S751': readFixture(TEST_FIXTURES_DIR, 'fcresearch', 'product-missing-weight.html')
+};
+const productTemplate = readFixture(FIXTURES_DIR, 'product-template.html');
+const pickBatchesTemplate = readFixture(FIXTURES_DIR, 'pick-batches.html');
+const loginPage = readFixture(TEST_FIXTURES_DIR, 'fcresearch', 'login-page.html');
+
+// Stable pseudo-random number in [0, 1) for an FN SKU
+function hashFraction(text, salt) {
+  let hash = 2166136261;
+  for (const char of text + salt) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+function renderProduct(fnsku) {
+  if (productFixtures[fnsku]) {
+    return productFixtures[fnsku];
+  }
+
+  const weight = (0.1 + hashFraction(fnsku, 'w') * 6).toFixed(2);
+  const dimensions = ['l', 'w', 'h']
+    .map(axis => (1 + hashFraction(fnsku, axis) * 14).toFixed(2))
+    .join(' x ');
+
+  return fillTemplate(productTemplate, { asin: `B0${fnsku.slice(2)}`, fnsku, weight, dimensions });
+}
+
+function renderPickBatches(warehouseId, state) {
+  const batches = batchInfo[state] || [];
+  const rows = batches.map(batch => [
+    '      <tr>',
+    `        <td><a href="#batch-${batch.batchId}">${batch.batchId}</a></td>`,
+    `        <td>${batch.pickProcess}</td>`,
+    `        <td><span class="badge">${batch.pickPriority}</span></td>`,
+    `        <td><span class="badge">${batch.totalUnits}</span></td>`,
+    '      </tr>'
+  ].join('\n'));
+
+  return fillTemplate(pickBatchesTemplate, {
+    warehouseId,
+    state,
+    batchCount: batches.length,
+    rows: rows.join('\n')
+  });
+}
+
+function send(res, status, body, contentType = 'text/html; charset=UTF-8', headers = {}) {
+  res.writeHead(status, { 'Content-Type': contentType, ...headers });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+// Apply the login and rate-limit scenarios shared by Rodeo and FC Research.
+// Returns true when the request has already been answered.
+let upstreamRequestCount = 0;
+function applyScenario(res, service) {
+  upstreamRequestCount++;
+
+  if (config.login === service || config.login === 'all') {
+    log(`  -> redirecting ${service} request to login`);
+    send(res, 302, '', 'text/plain', { Location: '/login' });
+    return true;
+  }
+
+  if (config.rateLimitEvery > 0 && upstreamRequestCount % config.rateLimitEvery === 0) {
+    log(`  -> rate limiting ${service} request`);
+    send(res, 429, 'Too Many Requests', 'text/plain', { 'Retry-After': '1' });
+    return true;
+  }
+
+  return false;
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (url.pathname === '/__mock/config') {
+    for (const [key, value] of url.searchParams) {
+      applyConfig(key, value);
+    }
+    send(res, 200, JSON.stringify(config, null, 2), 'application/json');
+    return;
+  }
+
+  if (config.delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, config.delay));
+  }
+
+  let match;
+
+  if (url.pathname === '/login') {
+    if (req.method === 'POST') {
+      // Submitting the login form "signs in": stop redirecting to the login page
+      log('  -> signed in, clearing login scenario');
+      config.login = null;
+      send(res, 302, '', 'text/plain', { Location: '/' });
+      return;
+    }
+    send(res, 200, loginPage);
+    return;
+  }
+
+  // Service home page, opened by the extension's "Sign in" button
+  if (url.pathname === '/' || /^\/[A-Z0-9]+\/?$/.test(url.pathname)) {
+    if (config.login) {
+      send(res, 302, '', 'text/plain', { Location: '/login' });
+      return;
+    }
+    send(res, 200, '<!DOCTYPE html><title>Mock home</title><p>Signed in to the mock server.</p>');
+    return;
+  }
+
+  // Picking Console batch API
+  if ((match = url.pathname.match(/^\/api\/fcs\/([A-Z0-9]+)\/batch-info\/(\w+)$/))) {
+    const batches = batchInfo[match[2]] || [];
+    send(res, 200, JSON.stringify({ pickBatchInformationList: batches }), 'application/json');
+    return;
+  }
+
+  // Picking Console page
+  if ((match = url.pathname.match(/^\/fc\/([A-Z0-9]+)\/pick-batches/))) {
+    send(res, 200, renderPickBatches(match[1], url.searchParams.get('state') || 'Ready'));
+    return;
+  }
+
+  // Rodeo search
+  if ((match = url.pathname.match(/^\/([A-Z0-9]+)\/Search$/))) {
+    if (applyScenario(res, 'rodeo')) return;
+
+    const pages = rodeoPages[url.searchParams.get('searchKey')];
+    const pageIndex = (parseInt(url.searchParams.get('page'), 10) || 1) - 1;
+    if (!pages || !pages[pageIndex]) {
+      send(res, 404, 'No results');
+      return;
+    }
+    send(res, 200, pages[pageIndex]);
+    return;
+  }
+
+  // FC Research product lookup
+  if (req.method === 'POST' && (match = url.pathname.match(/^\/([A-Z0-9]+)\/results\/product$/))) {
+    if (applyScenario(res, 'fcresearch')) return;
+
+    const fnsku = new URLSearchParams(await readBody(req)).get('s');
+    if (!fnsku) {
+      send(res, 400, 'Missing s parameter', 'text/plain');
+      return;
+    }
+    send(res, 200, renderProduct(fnsku));
+    return;
+  }
+
+  // FC Research search page (linked from the per-SKU breakdown)
+  if ((match = url.pathname.match(/^\/([A-Z0-9]+)\/results$/)) && url.searchParams.get('s')) {
+    send(res, 200, renderProduct(url.searchParams.get('s')));
+    return;
+  }
+
+  send(res, 404, 'Not found', 'text/plain');
+}
+
+http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    log('ERROR:', error);
+    send(res, 500, error.message, 'text/plain');
+  });
+}).listen(config.port, () => {
+  log(`Listening on http://localhost:${config.port}`);
+  log('Settings:', JSON.stringify(config));
+  log(`Picking Console page: http://localhost:${config.port}/fc/IND8/pick-batches`);
+});
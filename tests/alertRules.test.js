@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/loadBackground');
+
+test('validates alert rules and reports errors by index', () => {
+  const AlertRules = loadBackground().get('AlertRules');
+  const { rules, errors } = AlertRules.validate([
+    { enabled: true, metric: 'averageWeight', threshold: '4.5', state: ' Ready ', pickProcess: '' },
+    { enabled: true, metric: 'color', threshold: 1 },
+    { enabled: false, metric: 'totalItems', threshold: '' }
+  ]);
+
+  assert.deepStrictEqual(plain(rules), [
+    { enabled: true, metric: 'averageWeight', threshold: 4.5, state: 'Ready', pickProcess: '' }
+  ]);
+  assert.strictEqual(errors.length, 3);
+  assert.ok(!errors[0]);
+  assert.ok(errors[1]);
+  assert.ok(errors[2]);
+});
+
+test('matches rules against batch results and context', () => {
+  const AlertRules = loadBackground().get('AlertRules');
+  const rules = [
+    { enabled: true, metric: 'averageWeight', threshold: 5, state: 'Ready', pickProcess: '' },
+    { enabled: true, metric: 'totalItems', threshold: 100, state: '', pickProcess: 'MultiSlamPicking' },
+    { enabled: false, metric: 'maxWeight', threshold: 1, state: '', pickProcess: '' }
+  ];
+  const result = { averageWeight: 6.2, totalItems: 40, maxWeight: 20 };
+
+  const ready = AlertRules.match(rules, result, { state: 'Ready', pickProcess: 'MultiSlamPicking' });
+  assert.deepStrictEqual(ready.map(rule => rule.metric), ['averageWeight']);
+
+  const picking = AlertRules.match(rules, result, { state: 'Picking', pickProcess: 'MultiSlamPicking' });
+  assert.deepStrictEqual(picking, []);
+});
+
+test('records batches that match side by side and notifies each only once', async () => {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  const browser = bg.context.browser;
+  const notifications = [];
+  browser.notifications.create = async (id) => notifications.push(id);
+
+  // Slow storage, so overlapping checks would read the same old state
+  const { get, set } = browser.storage.local;
+  const later = (fn) => async (arg) => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return fn(arg);
+  };
+  browser.storage.local.get = later(get);
+  browser.storage.local.set = later(set);
+
+  const checkBatchAlerts = bg.get('checkBatchAlerts');
+  const heavy = batchId => ({ batchId, averageWeight: 6, maxWeight: 9, totalWeight: 60, totalItems: 10, coverage: 100 });
+  const context = { warehouseId: 'IND8', state: 'Ready', pickProcess: 'MultiSlamPicking' };
+
+  await Promise.all([checkBatchAlerts(heavy('50600001'), context, 3), checkBatchAlerts(heavy('50600002'), context, 3)]);
+  await Promise.all([checkBatchAlerts(heavy('50600001'), context, 3), checkBatchAlerts(heavy('50600002'), context, 3)]);
+
+  assert.deepStrictEqual(notifications.sort(), ['batch:IND8:50600001', 'batch:IND8:50600002']);
+  const stored = await get('notifiedBatches');
+  assert.deepStrictEqual(Object.keys(stored.notifiedBatches).sort(), ['batch:IND8:50600001', 'batch:IND8:50600002']);
+});
+
+test('releases a batch whose notification fails and formats weights in the display unit', async () => {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  bg.get('settings').weightUnit = 'kg';
+  const browser = bg.context.browser;
+  const notifications = [];
+  let failNext = true;
+  browser.notifications.create = async (id, options) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('Notification icon could not be loaded');
+    }
+    notifications.push([id, options.message.split('\n')[0]]);
+  };
+
+  const checkBatchAlerts = bg.get('checkBatchAlerts');
+  const heavy = { batchId: '50600001', averageWeight: 6.6, maxWeight: 11, totalWeight: 66, totalItems: 10, coverage: 100 };
+  const context = { warehouseId: 'IND8', state: 'Ready', pickProcess: 'MultiSlamPicking' };
+
+  await checkBatchAlerts(heavy, context, 3);
+  assert.deepStrictEqual(notifications, []);
+  assert.strictEqual((await browser.storage.local.get('notifiedBatches')).notifiedBatches, undefined);
+
+  await checkBatchAlerts(heavy, context, 3);
+  assert.deepStrictEqual(notifications, [['batch:IND8:50600001', '2.99 kg avg, 4.99 kg max, 29.94 kg total (10 units)']]);
+  const stored = await browser.storage.local.get('notifiedBatches');
+  assert.deepStrictEqual(Object.keys(stored.notifiedBatches), ['batch:IND8:50600001']);
+});
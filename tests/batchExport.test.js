@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadBackground');
+
+const BatchExport = loadScripts('lib/batchExport.js').get('BatchExport');
+
+const result = {
+  averageWeight: 2.5,
+  totalWeight: 10,
+  minWeight: 1,
+  maxWeight: 4,
+  totalItems: 4,
+  uniqueSKUs: 2,
+  totalVolume: null,
+  averageVolume: null,
+  coverage: 100,
+  quality: { flags: ['fallback', 'outlier'], overrideSKUs: ['X00244S751'] },
+  fetchedAt: '2026-10-18T06:00:00.000Z'
+};
+
+test('exports every column in order, joined with the Picking Console API data', () => {
+  const row = plain(BatchExport.buildRow('50600001', result, { state: 'Ready', pickProcessType: 'MultiSlamPicking', totalUnits: 4 },
+    { warehouseId: 'IND8', state: 'Active' }));
+
+  assert.deepStrictEqual(Object.keys(row), plain(BatchExport.COLUMNS));
+  assert.deepStrictEqual(plain(BatchExport.COLUMNS), [
+    'warehouseId', 'batchId', 'state', 'pickProcess', 'totalUnits',
+    'averageWeight', 'totalWeight', 'minWeight', 'maxWeight', 'totalItems', 'uniqueSKUs',
+    'totalVolume', 'averageVolume', 'coverage', 'qualityFlags', 'overrideSKUs', 'fetchedAt', 'error'
+  ]);
+  assert.deepStrictEqual(
+    [row.warehouseId, row.state, row.pickProcess, row.qualityFlags, row.overrideSKUs, row.error],
+    ['IND8', 'Ready', 'MultiSlamPicking', 'fallback outlier', 'X00244S751', null]
+  );
+
+  const failed = plain(BatchExport.buildRow('50600002', { error: 'Rodeo session expired' }, {}, { warehouseId: 'IND8', state: 'Active' }));
+  assert.deepStrictEqual([failed.state, failed.averageWeight, failed.qualityFlags, failed.error], ['Active', null, null, 'Rodeo session expired']);
+});
+
+test('quotes CSV fields with commas, quotes and newlines', () => {
+  assert.strictEqual(BatchExport.csvField('plain'), 'plain');
+  assert.strictEqual(BatchExport.csvField(2.5), '2.5');
+  assert.strictEqual(BatchExport.csvField(null), '');
+  assert.strictEqual(BatchExport.csvField('Rodeo, then FC Research'), '"Rodeo, then FC Research"');
+  assert.strictEqual(BatchExport.csvField('the "Weight" row'), '"the ""Weight"" row"');
+  assert.strictEqual(BatchExport.csvField('line one\nline two'), '"line one\nline two"');
+
+  const csv = BatchExport.toCSV([{ batchId: '50600001', error: 'Bad "page", retry' }]);
+  const [header, line] = csv.split('\n');
+  assert.strictEqual(header, BatchExport.COLUMNS.join(','));
+  assert.strictEqual(line.split(',').length, BatchExport.COLUMNS.length + 1);
+  assert.ok(line.endsWith(',"Bad ""page"", retry"'));
+  assert.ok(csv.endsWith('\n'));
+});
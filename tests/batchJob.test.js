@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const routes = {
+  'page=2': readFixture('rodeo', 'search-paged-2.html'),
+  'searchKey=50600001': readFixture('rodeo', 'search-paged-1.html'),
+  '/results/product': readFixture('fcresearch', 'product-pounds.html')
+};
+
+// A fake runtime.Port pair: what the background posts is recorded, and
+// send() delivers a message to the background's listeners
+function connectPort(bg) {
+  const messageListeners = [];
+  const disconnectListeners = [];
+  const received = [];
+  const port = {
+    name: 'batchJob',
+    sender: { tab: { id: 7 } },
+    postMessage: message => received.push(plain(message)),
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) }
+  };
+  bg.context.browser.runtime.onConnect.listeners.forEach(listener => listener(port));
+
+  return {
+    received,
+    send: message => messageListeners.forEach(listener => listener(message)),
+    disconnect: () => disconnectListeners.forEach(listener => listener(port))
+  };
+}
+
+function waitFor(predicate) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > 5000) return reject(new Error('timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+test('reports Rodeo completion and a running average as weights resolve', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(routes);
+  const events = [];
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8', null, event => events.push(plain(event)));
+
+  assert.deepStrictEqual(events[0], {
+    batchId: '50600001',
+    stage: 'rodeo',
+    totalItems: 6,
+    uniqueSKUs: 3,
+    resolvedSKUs: 0,
+    itemsWithWeight: 0,
+    partialAverage: null
+  });
+  assert.deepStrictEqual(events.slice(1).map(event => event.resolvedSKUs), [1, 2, 3]);
+  assert.ok(events.slice(1).every(event => event.stage === 'weights' && event.partialAverage === 2.36));
+  assert.strictEqual(events[events.length - 1].itemsWithWeight, result.itemsWithWeight);
+});
+
+test('streams progress events and the result over a batchJob port', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(routes);
+  const port = connectPort(bg);
+
+  port.send({ type: 'start', jobId: 'IND8:50600001:1', batchId: '50600001', warehouseId: 'IND8', region: 'NA' });
+  await waitFor(() => port.received.some(message => message.type === 'result'));
+
+  const types = port.received.map(message => message.type);
+  assert.deepStrictEqual(types, ['progress', 'progress', 'progress', 'progress', 'result']);
+  assert.strictEqual(port.received[4].result.averageWeight, 2.36);
+  assert.strictEqual(bg.get('fetchJobs').size, 0);
+});
+
+test('cancels the job when its port closes early', async () => {
+  const bg = loadBackground();
+  // Rodeo never answers until the request is aborted
+  bg.context.fetch = (url, options = {}) => new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason));
+  });
+  const port = connectPort(bg);
+
+  port.send({ type: 'start', jobId: 'IND8:50600001:2', batchId: '50600001', warehouseId: 'IND8', region: 'NA' });
+  await waitFor(() => bg.get('fetchJobs').size === 1);
+  port.disconnect();
+  await waitFor(() => port.received.some(message => message.type === 'result'));
+
+  assert.deepStrictEqual(port.received.pop().result, { batchId: '50600001', cancelled: true });
+});
+
+// Count requests per kind while serving the usual fixtures
+function countingFetch(counts) {
+  const fetchFixture = fixtureFetch(routes);
+  return (url, options) => {
+    const kind = url.includes('/results/product') ? 'fcresearch' : 'rodeo';
+    counts[kind] = (counts[kind] || 0) + 1;
+    return fetchFixture(url, options);
+  };
+}
+
+test('shares one FC Research request between concurrent lookups of the same FN SKU', async () => {
+  const bg = loadBackground();
+  const counts = {};
+  bg.context.fetch = countingFetch(counts);
+  const fetchWeight = bg.get('fetchWeightFromFCResearch');
+
+  const results = await Promise.all([fetchWeight('X0025W7YI3', 'IND8'), fetchWeight('X0025W7YI3', 'IND8')]);
+
+  assert.deepStrictEqual(results.map(result => result.weight), [2.36, 2.36]);
+  assert.strictEqual(counts.fcresearch, 1);
+  assert.strictEqual(bg.get('weightFlights').size, 0);
+});
+
+test('coalesces identical batch jobs and shares the result with other tabs of the warehouse', async () => {
+  const bg = loadBackground();
+  await bg.get('connectedTabsReady');
+  const counts = {};
+  bg.context.fetch = countingFetch(counts);
+  const shared = [];
+  bg.context.browser.tabs.sendMessage = async (tabId, message) => shared.push({ tabId, type: message.type, batchId: message.batchId });
+
+  const registerTab = bg.get('registerTab');
+  registerTab({ id: 3 }, 'pickingConsole', 'IND8');
+  registerTab({ id: 5 }, 'pickingConsole', 'IND8');
+  registerTab({ id: 6 }, 'pickingConsole', 'IND8');
+  registerTab({ id: 8 }, 'pickingConsole', 'SDF8');
+
+  const runBatchJob = bg.get('runBatchJob');
+  const message = { batchId: '50600001', warehouseId: 'IND8', region: 'NA' };
+  const [first, second] = await Promise.all([
+    runBatchJob({ ...message, jobId: 'a' }, 3),
+    runBatchJob({ ...message, jobId: 'b' }, 5)
+  ]);
+
+  assert.strictEqual(first, second);
+  assert.strictEqual(first.averageWeight, 2.36);
+  assert.strictEqual(counts.rodeo, 2); // both Rodeo pages, fetched once
+  assert.strictEqual(counts.fcresearch, 3); // one per unique FN SKU
+  assert.deepStrictEqual(shared, [{ tabId: 6, type: 'batchResult', batchId: '50600001' }]);
+});
+
+test('keeps a shared batch fetch running when only one of its callers cancels', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(routes);
+
+  const runBatchJob = bg.get('runBatchJob');
+  const message = { batchId: '50600001', warehouseId: 'IND8', region: 'NA' };
+  const cancelled = runBatchJob({ ...message, jobId: 'a' }, 3);
+  const kept = runBatchJob({ ...message, jobId: 'b' }, 5);
+  bg.get('cancelFetchJobs')(['a']);
+
+  assert.deepStrictEqual(plain(await cancelled), { batchId: '50600001', cancelled: true });
+  assert.strictEqual((await kept).averageWeight, 2.36);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const routes = {
+  'page=2': readFixture('rodeo', 'search-paged-2.html'),
+  'searchKey=50600001': readFixture('rodeo', 'search-paged-1.html'),
+  '/results/product': readFixture('fcresearch', 'product-pounds.html')
+};
+
+// Save an override as the cache page does, through the background
+function pinOverride(bg, raw) {
+  return bg.get('saveWeightOverride')(raw);
+}
+
+test('validates overrides and reports errors by field', () => {
+  const { validate } = loadBackground().get('WeightOverrides');
+
+  const { override } = validate({ warehouseId: 'ind8', fnsku: ' x0025w7yi3 ', weight: '3.5', note: 'Scale at pack' });
+  assert.deepStrictEqual(
+    [override.warehouseId, override.fnsku, override.weight, override.note],
+    ['IND8', 'X0025W7YI3', 3.5, 'Scale at pack']
+  );
+
+  const { errors } = validate({ warehouseId: 'I', fnsku: 'B00', weight: '', note: 'x'.repeat(201) });
+  assert.deepStrictEqual(Object.keys(errors).sort(), ['fnsku', 'note', 'warehouseId', 'weight']);
+  assert.ok(validate({ warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 5000 }).errors.weight);
+  assert.ok(validate({ warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: -1 }).errors.weight);
+});
+
+test('uses a pinned override ahead of FC Research and keeps cached dimensions', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(routes);
+  const fetchWeight = bg.get('fetchWeightFromFCResearch');
+  const fetched = await fetchWeight('X0025W7YI3', 'IND8');
+
+  await pinOverride(bg, { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 3.1, note: 'Scale at pack' });
+  bg.context.fetch = async () => { throw new Error('FC Research should not be asked'); };
+  const result = await fetchWeight('X0025W7YI3', 'IND8');
+
+  assert.strictEqual(result.weight, 3.1);
+  assert.strictEqual(result.source, 'override');
+  assert.strictEqual(result.note, 'Scale at pack');
+  assert.deepStrictEqual(plain(result.dimensions), plain(fetched.dimensions));
+});
+
+test('marks overridden lines in the batch result and never flags them', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(routes);
+  await pinOverride(bg, { warehouseId: 'IND8', fnsku: 'X00244S751', weight: 80, note: 'Case pack' });
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.deepStrictEqual(plain(result.quality.overrideSKUs), ['X00244S751']);
+  assert.deepStrictEqual(plain(result.quality.outlierSKUs), []);
+  const line = result.lines.find(l => l.fnsku === 'X00244S751');
+  assert.deepStrictEqual([line.unitWeight, line.override, line.overrideNote], [80, true, 'Case pack']);
+  assert.ok(result.lines.filter(l => l.fnsku !== 'X00244S751').every(l => !l.override && l.overrideNote === null));
+});
+
+test('lists, deletes and refreshes cached weights', async () => {
+  const bg = loadBackground();
+  let requests = 0;
+  const fetchFixture = fixtureFetch(routes);
+  bg.context.fetch = async (url, options) => {
+    requests++;
+    return fetchFixture(url, options);
+  };
+  await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'IND8');
+  await bg.get('fetchWeightFromFCResearch')('X002ASJCEV', 'SDF8');
+  await pinOverride(bg, { warehouseId: 'IND8', fnsku: 'X004HEOFR5', weight: 1.5 });
+
+  const listing = plain(await bg.get('listCacheEntries')());
+  assert.deepStrictEqual(listing.entries.map(entry => [entry.key, entry.weight, entry.source]).sort(), [
+    ['IND8:X0025W7YI3', 2.36, 'table'],
+    ['SDF8:X002ASJCEV', 2.36, 'table']
+  ]);
+  assert.ok(listing.entries.every(entry => entry.expiresAt > entry.timestamp));
+  assert.deepStrictEqual(Object.keys(listing.overrides), ['IND8:X004HEOFR5']);
+
+  await bg.get('deleteCachedWeight')('SDF8:X002ASJCEV');
+  const refreshed = await bg.get('refreshCachedWeight')('IND8:X0025W7YI3');
+  assert.strictEqual(refreshed.weight, 2.36);
+  assert.strictEqual(requests, 3);
+
+  const after = plain(await bg.get('listCacheEntries')());
+  assert.deepStrictEqual(after.entries.map(entry => entry.key), ['IND8:X0025W7YI3']);
+});
+
+test('queues override saves, removes and import merges so none is lost', async () => {
+  const bg = loadBackground();
+  const browser = bg.context.browser;
+  await pinOverride(bg, { warehouseId: 'IND8', fnsku: 'X004HEOFR5', weight: 1.5 });
+
+  // Slow storage, so overlapping writes would each read the same old overrides
+  const { get, set } = browser.storage.local;
+  const later = (fn) => async (arg) => {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return fn(arg);
+  };
+  browser.storage.local.get = later(get);
+  browser.storage.local.set = later(set);
+
+  const CacheTransfer = bg.get('CacheTransfer');
+  const file = CacheTransfer.toJSON(CacheTransfer.build([], {
+    'IND8:X002ASJCEV': { warehouseId: 'IND8', fnsku: 'X002ASJCEV', weight: 5, note: 'Case pack', updatedAt: Date.now() - 60000 }
+  }));
+  await Promise.all([
+    bg.get('importCacheData')(file),
+    pinOverride(bg, { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 3.1 }),
+    pinOverride(bg, { warehouseId: 'SDF8', fnsku: 'X0025W7YI3', weight: 3.2 }),
+    bg.get('removeWeightOverride')('IND8', 'X004HEOFR5')
+  ]);
+
+  const stored = await bg.get('WeightOverrides').load();
+  assert.deepStrictEqual(Object.keys(stored).sort(), ['IND8:X0025W7YI3', 'IND8:X002ASJCEV', 'SDF8:X0025W7YI3']);
+});
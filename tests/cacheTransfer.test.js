@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// An export file as another browser would write it, timestamps relative to now
+function exportFile(bg, { cache = [], overrides = [] }) {
+  const CacheTransfer = bg.get('CacheTransfer');
+  return CacheTransfer.toJSON(CacheTransfer.build(
+    cache.map(entry => ({ dimensions: null, source: 'table', ...entry, timestamp: Date.now() - entry.age })),
+    Object.fromEntries(overrides.map(override => [
+      `${override.warehouseId}:${override.fnsku}`,
+      { note: '', ...override, updatedAt: Date.now() - override.age }
+    ]))
+  ));
+}
+
+test('round-trips cache entries and overrides through JSON and CSV', () => {
+  const CacheTransfer = loadBackground().get('CacheTransfer');
+  const timestamp = Date.parse('2026-10-18T06:00:00.000Z');
+  const data = CacheTransfer.build(
+    [{ warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 2.36, dimensions: { length: 10, width: 5.5, height: 2, volume: 110 }, source: 'table', timestamp }],
+    { 'IND8:X00244S751': { warehouseId: 'IND8', fnsku: 'X00244S751', weight: 8, note: 'Scale, "pack" station', updatedAt: timestamp } }
+  );
+
+  const csv = CacheTransfer.toCSV(data);
+  assert.strictEqual(csv.split('\n')[0], 'version,kind,warehouseId,fnsku,weight,length,width,height,source,timestamp,note');
+
+  for (const text of [CacheTransfer.toJSON(data), csv]) {
+    const parsed = plain(CacheTransfer.parse(text));
+    assert.deepStrictEqual(parsed.cache, [{
+      warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 2.36,
+      dimensions: { length: 10, width: 5.5, height: 2, volume: 110 }, source: 'table', timestamp
+    }]);
+    assert.deepStrictEqual(
+      parsed.overrides.map(o => [o.fnsku, Number(o.weight), o.note, o.updatedAt]),
+      [['X00244S751', 8, 'Scale, "pack" station', timestamp]]
+    );
+    assert.strictEqual(parsed.invalid, 0);
+  }
+});
+
+test('quotes CSV fields with a bare carriage return', () => {
+  const CacheTransfer = loadBackground().get('CacheTransfer');
+  const timestamp = Date.parse('2026-10-18T06:00:00.000Z');
+  const data = CacheTransfer.build([], {
+    'IND8:X00244S751': { warehouseId: 'IND8', fnsku: 'X00244S751', weight: 8, note: 'Scale\rpack', updatedAt: timestamp }
+  });
+
+  const csv = CacheTransfer.toCSV(data);
+  assert.ok(csv.includes('"Scale\rpack"'));
+  assert.deepStrictEqual(plain(CacheTransfer.parse(csv)).overrides.map(o => o.note), ['Scale\rpack']);
+});
+
+test('rejects files that are not exports or are from a newer version', () => {
+  const CacheTransfer = loadBackground().get('CacheTransfer');
+
+  assert.throws(() => CacheTransfer.parse('{"batches": []}'), /Not a weight cache export/);
+  assert.throws(() => CacheTransfer.parse('batchId,averageWeight\n506,2\n'), /expected columns/);
+  assert.throws(() => CacheTransfer.parse('{"format": "pcs-weight-cache", "version": 2, "cache": []}'), /Unsupported export version 2/);
+
+  const parsed = CacheTransfer.parse(JSON.stringify({
+    format: 'pcs-weight-cache',
+    version: 1,
+    cache: [
+      { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: -1, source: 'table', timestamp: '2026-10-18T06:00:00Z' },
+      { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 2, source: 'table', timestamp: 'yesterday-ish' },
+      { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 2, source: 'guess', timestamp: '2026-10-18T06:00:00Z' }
+    ]
+  }));
+  assert.strictEqual(parsed.cache.length, 0);
+  assert.strictEqual(parsed.invalid, 3);
+});
+
+test('imports by fetch time: newer entries win, past-TTL ones are refreshed and stale ones skipped', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ '/results/product': readFixture('fcresearch', 'product-pounds.html') });
+  await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'IND8');
+  await bg.get('fetchWeightFromFCResearch')('X002ASJCEV', 'IND8');
+  await bg.get('WeightOverrides').save({ warehouseId: 'IND8', fnsku: 'X00244S751', weight: 8, note: 'Mine' });
+
+  const summary = await bg.get('importCacheData')(exportFile(bg, {
+    cache: [
+      { warehouseId: 'IND8', fnsku: 'X0025W7YI3', weight: 9, age: 5 * MINUTE }, // older than the local fetch
+      { warehouseId: 'SDF8', fnsku: 'X0025W7YI3', weight: 3, age: 5 * MINUTE }, // new here
+      { warehouseId: 'IND8', fnsku: 'X004HEOFR5', weight: 4, age: 2 * HOUR }, // past the 30-minute cache
+      { warehouseId: 'IND8', fnsku: 'X004HEOFR6', weight: 6, age: bg.get('CacheTransfer').MAX_IMPORT_AGE_MS + HOUR } // past the import age limit
+    ],
+    overrides: [
+      { warehouseId: 'IND8', fnsku: 'X00244S751', weight: 12, note: 'Theirs', age: 60 * MINUTE },
+      { warehouseId: 'IND8', fnsku: 'X002ASJCEV', weight: 5, note: 'Case pack', age: MINUTE }
+    ]
+  }));
+
+  assert.deepStrictEqual(plain(summary), {
+    cache: { added: 2, updated: 0, kept: 1, stale: 1 },
+    overrides: { added: 1, updated: 0, kept: 1, invalid: 0 },
+    invalid: 0
+  });
+
+  const listing = plain(await bg.get('listCacheEntries')());
+  assert.deepStrictEqual(listing.entries.map(entry => [entry.key, entry.weight]).sort(), [
+    ['IND8:X0025W7YI3', 2.36],
+    ['IND8:X002ASJCEV', 2.36],
+    ['IND8:X004HEOFR5', 4],
+    ['SDF8:X0025W7YI3', 3]
+  ]);
+
+  // Stamped with the import time, keeping when FC Research was asked
+  const imported = listing.entries.find(entry => entry.key === 'IND8:X004HEOFR5');
+  assert.ok(!imported.expired && Date.now() - imported.timestamp < MINUTE);
+  assert.ok(Math.abs(imported.fetchedAt - (Date.now() - 2 * HOUR)) < MINUTE);
+
+  // Re-exporting passes on the original fetch time, not the import time
+  const reexported = JSON.parse(bg.get('CacheTransfer').toJSON(bg.get('CacheTransfer').build(listing.entries, {})));
+  const entry = reexported.cache.find(e => e.fnsku === 'X004HEOFR5');
+  assert.strictEqual(Date.parse(entry.timestamp), imported.fetchedAt);
+  assert.deepStrictEqual(
+    Object.values(listing.overrides).map(o => [o.fnsku, o.weight, o.note]).sort(),
+    [['X00244S751', 8, 'Mine'], ['X002ASJCEV', 5, 'Case pack']]
+  );
+
+  // The imported override applies straight away
+  const result = await bg.get('fetchWeightFromFCResearch')('X002ASJCEV', 'IND8');
+  assert.deepStrictEqual([result.weight, result.source], [5, 'override']);
+});
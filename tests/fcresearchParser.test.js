@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const expected = JSON.parse(readFixture('fcresearch', 'expected.json'));
+
+for (const [fixture, want] of Object.entries(expected)) {
+  test(`parses weight from ${fixture}`, () => {
+    const bg = loadBackground();
+    const html = readFixture('fcresearch', fixture);
+
+    assert.strictEqual(bg.get('parseFCResearchWeight')(html, want.fnsku), want.weight);
+  });
+
+  test(`parses dimensions from ${fixture}`, () => {
+    const bg = loadBackground();
+    const html = readFixture('fcresearch', fixture);
+
+    assert.deepStrictEqual(plain(bg.get('parseFCResearchDimensions')(html, want.fnsku)), want.dimensions);
+  });
+}
+
+test('fetches and caches weight and dimensions from the product endpoint', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ '/results/product': readFixture('fcresearch', 'product-pounds.html') });
+
+  const first = await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'IND8');
+  const second = await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'IND8');
+
+  assert.strictEqual(first.weight, 2.36);
+  assert.deepStrictEqual(plain(first.dimensions), expected['product-pounds.html'].dimensions);
+  assert.strictEqual(second.fromCache, true);
+  assert.strictEqual(second.weight, 2.36);
+});
+
+test('keeps cache hits in memory and persists their access times in one write', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ '/results/product': readFixture('fcresearch', 'product-pounds.html') });
+  const fetchWeight = bg.get('fetchWeightFromFCResearch');
+  await fetchWeight('X0025W7YI3', 'IND8');
+  await fetchWeight('X002ASJCEV', 'IND8');
+
+  const local = bg.context.browser.storage.local;
+  const writes = [];
+  const set = local.set;
+  local.set = async (items) => {
+    writes.push(Object.keys(items));
+    return set(items);
+  };
+
+  for (let i = 0; i < 5; i++) {
+    await fetchWeight('X0025W7YI3', 'IND8');
+    await fetchWeight('X002ASJCEV', 'IND8');
+  }
+  assert.deepStrictEqual(writes, []);
+
+  await bg.get('flushLastAccess')();
+  assert.deepStrictEqual(writes, [['weightCache:IND8:X0025W7YI3', 'weightCache:IND8:X002ASJCEV']]);
+  const stored = await local.get();
+  assert.ok(stored['weightCache:IND8:X0025W7YI3'].lastAccess >= stored['weightCache:IND8:X0025W7YI3'].timestamp);
+});
+
+test('treats a login page as no weight and an expired session', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ '/results/product': readFixture('fcresearch', 'login-page.html') });
+
+  const result = await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'IND8');
+
+  assert.strictEqual(result.weight, null);
+  assert.strictEqual(result.errorType, 'auth');
+});
+
+test('looks up a single FN SKU for the popup with its FC Research link', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ '/results/product': readFixture('fcresearch', 'product-kilograms.html') });
+
+  const result = await bg.get('lookupSku')('X004TQ2MVA', 'DUS2', 'EU');
+
+  assert.strictEqual(result.weight, expected['product-kilograms.html'].weight);
+  assert.strictEqual(result.source, 'table');
+  assert.strictEqual(result.researchUrl, 'https://fcresearch-eu.aka.amazon.com/DUS2/results?s=X004TQ2MVA');
+});
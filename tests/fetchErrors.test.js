@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const loginPage = readFixture('fcresearch', 'login-page.html');
+
+async function loadWithFetch(fetch) {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  bg.get('RequestScheduler').configure({ maxRetries: 0, requestsPerSecond: 50 });
+  bg.context.fetch = fetch;
+  return bg;
+}
+
+function statusFetch(status) {
+  return async () => ({ ok: false, status, text: async () => '' });
+}
+
+test('reports an expired Rodeo session with its sign-in page', async () => {
+  const bg = await loadWithFetch(fixtureFetch({ '/Search': loginPage }));
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.deepStrictEqual(plain(result), {
+    batchId: '50600001',
+    error: 'Rodeo session expired - sign in again',
+    errorType: 'auth',
+    service: 'rodeo'
+  });
+  assert.strictEqual(bg.get('expiredSessions').get('rodeo').loginUrl, 'https://rodeo-iad.amazon.com/IND8');
+});
+
+test('reports an expired FC Research session instead of partial stats', async () => {
+  const bg = await loadWithFetch(fixtureFetch({
+    'searchKey=50600001': readFixture('rodeo', 'search-paged-1.html'),
+    'page=2': readFixture('rodeo', 'search-paged-2.html'),
+    '/results/product': loginPage
+  }));
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.strictEqual(result.errorType, 'auth');
+  assert.strictEqual(result.service, 'fcresearch');
+  assert.ok(bg.get('expiredSessions').has('fcresearch'));
+});
+
+test('classifies not found, rate limited and network failures', async () => {
+  const cases = [
+    [statusFetch(404), 'notFound'],
+    [statusFetch(429), 'rateLimited'],
+    [statusFetch(502), 'network'],
+    [async () => { throw new TypeError('NetworkError when attempting to fetch resource.'); }, 'network']
+  ];
+
+  for (const [fetch, errorType] of cases) {
+    const bg = await loadWithFetch(fetch);
+    const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+    assert.strictEqual(result.errorType, errorType, result.error);
+    assert.strictEqual(result.service, 'rodeo');
+  }
+});
+
+test('tells open tabs when an expired session works again', async () => {
+  const bg = await loadWithFetch(fixtureFetch({ '/Search': loginPage }));
+  const sent = [];
+  bg.context.browser.tabs.query = async () => [{ id: 7 }];
+  bg.context.browser.tabs.sendMessage = async (tabId, message) => sent.push({ tabId, message });
+
+  await bg.get('handleFetchBatchData')('50600001', 'IND8');
+  bg.context.fetch = fixtureFetch({
+    'searchKey=50600001': readFixture('rodeo', 'search-paged-1.html'),
+    'page=2': readFixture('rodeo', 'search-paged-2.html'),
+    '/results/product': readFixture('fcresearch', 'product-pounds.html')
+  });
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(bg.get('expiredSessions').size, 0);
+  assert.deepStrictEqual(plain(sent), [{ tabId: 7, message: { type: 'sessionRestored', service: 'rodeo' } }]);
+});
+
+test('does not treat error pages or pages with a sign-in link as an expired session', async () => {
+  const chrome = '<header><a href="/login">Login</a> | <a href="/signin">Sign in</a></header>';
+  const cases = [
+    [404, 'notFound'],
+    [429, 'rateLimited'],
+    [503, 'network']
+  ];
+
+  for (const [status, errorType] of cases) {
+    const bg = await loadWithFetch(async () => ({ ok: false, status, text: async () => `<html><body>${chrome}<p>Error ${status}</p></body></html>` }));
+    const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+    assert.strictEqual(result.errorType, errorType, result.error);
+    assert.strictEqual(bg.get('expiredSessions').size, 0);
+  }
+
+  const rodeoPage = readFixture('rodeo', 'search-paged-1.html').replace('<body>', `<body>${chrome}`);
+  const bg = await loadWithFetch(fixtureFetch({ 'page=2': readFixture('rodeo', 'search-paged-2.html'), '/Search': rodeoPage }));
+  const { rows, error } = await bg.get('fetchRodeoRows')('50600001', 'IND8');
+  assert.strictEqual(error, undefined);
+  assert.ok(rows.length > 0);
+});
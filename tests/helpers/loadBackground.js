@@ -0,0 +1,137 @@
+// Loads the extension's background scripts into a Node VM context so the
+// parsing functions can be tested without a browser.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+
+// Minimal stand-in for the WebExtension APIs the background scripts touch at load time.
+// `local` seeds browser.storage.local.
+function createBrowserStub(local = {}) {
+  const storage = { ...local };
+  const registeredScripts = [];
+  return {
+    runtime: {
+      getManifest: () => JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8')),
+      getURL: (file) => `moz-extension://test/${file}`,
+      onMessage: { addListener() {} },
+      onConnect: {
+        listeners: [],
+        addListener(listener) { this.listeners.push(listener); }
+      }
+    },
+    storage: {
+      local: {
+        get: async () => ({ ...storage }),
+        set: async (items) => Object.assign(storage, items),
+        remove: async (keys) => [].concat(keys).forEach(key => delete storage[key])
+      },
+      sync: {
+        get: async () => ({}),
+        set: async () => {}
+      },
+      onChanged: { addListener() {} }
+    },
+    tabs: {
+      query: async () => [],
+      sendMessage: async () => {},
+      create: async (props) => ({ id: 1, ...props }),
+      onUpdated: { addListener() {} },
+      onRemoved: { addListener() {} }
+    },
+    browserAction: {
+      setBadgeText() {},
+      setBadgeBackgroundColor() {},
+      setTitle() {}
+    },
+    permissions: {
+      contains: async () => true
+    },
+    scripting: {
+      registered: registeredScripts,
+      getRegisteredContentScripts: async ({ ids }) => registeredScripts.filter(script => ids.includes(script.id)),
+      registerContentScripts: async (scripts) => registeredScripts.push(...scripts),
+      unregisterContentScripts: async ({ ids }) => {
+        ids.forEach(id => registeredScripts.splice(registeredScripts.findIndex(script => script.id === id), 1));
+      }
+    },
+    notifications: {
+      create: async () => {},
+      clear: async () => {},
+      onClicked: { addListener() {} }
+    }
+  };
+}
+
+// Run every background script listed in manifest.json in a fresh context.
+// Returns a getter for top-level bindings plus the context itself, so tests
+// can swap in a fake fetch. Options: { local } seeds browser.storage.local.
+function loadBackground({ local } = {}) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+  const { window } = new JSDOM('');
+
+  const context = vm.createContext({
+    console: { log() {}, error() {}, warn() {} },
+    browser: createBrowserStub(local),
+    fetch: async () => { throw new Error('fetch not stubbed'); },
+    DOMParser: window.DOMParser,
+    URL,
+    URLSearchParams,
+    AbortController,
+    // A fresh in-memory IndexedDB per load, for lib/historyStore.js
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    setTimeout,
+    clearTimeout
+  });
+
+  for (const script of manifest.background.scripts) {
+    const file = path.join(EXTENSION_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+
+  return {
+    context,
+    get: (name) => vm.runInContext(name, context)
+  };
+}
+
+// Run individual extension scripts (paths relative to extension/), such as
+// lib modules only the content scripts load, in a fresh context
+function loadScripts(...scripts) {
+  const context = vm.createContext({ console: { log() {}, error() {}, warn() {} } });
+  for (const script of scripts) {
+    const file = path.join(EXTENSION_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  return { context, get: (name) => vm.runInContext(name, context) };
+}
+
+// Read a fixture file relative to tests/fixtures
+function readFixture(...parts) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', ...parts), 'utf8');
+}
+
+// Build a fetch replacement that serves fixture HTML by URL substring.
+// Routes are matched in insertion order; a null body answers 404.
+function fixtureFetch(routes) {
+  return async (url) => {
+    const route = Object.keys(routes).find(pattern => url.includes(pattern));
+    if (!route || routes[route] === null) {
+      return { ok: false, status: 404, text: async () => '' };
+    }
+    const body = routes[route];
+    return { ok: true, status: 200, text: async () => body };
+  };
+}
+
+// Copy a value out of the VM context so deepStrictEqual compares plain objects
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadBackground, loadScripts, readFixture, fixtureFetch, plain };
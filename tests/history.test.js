@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/loadBackground');
+
+const HOUR = 60 * 60 * 1000;
+
+const batches = [
+  { batchId: '50600001', averageWeight: 2, totalWeight: 20, maxWeight: 4, totalItems: 10, uniqueSKUs: 3, totalVolume: null },
+  { batchId: '50600002', averageWeight: 4, totalWeight: 8, maxWeight: 5, totalItems: 2, uniqueSKUs: 2, totalVolume: null },
+  { batchId: '50600003', averageWeight: null, totalWeight: 0, maxWeight: null, totalItems: 0, uniqueSKUs: 1, totalVolume: null }
+];
+
+test('summarizes a cycle from the batches that have a weight', () => {
+  const summary = plain(loadBackground().get('summarizeBatches')(batches));
+
+  assert.deepStrictEqual(summary, {
+    batchCount: 3,
+    batchesWithWeight: 2,
+    totalItems: 12,
+    totalWeight: 28,
+    averageBatchWeight: 3
+  });
+  assert.strictEqual(loadBackground().get('summarizeBatches')([]).averageBatchWeight, null);
+});
+
+test('keeps a separate trend per pick process', async () => {
+  const bg = loadBackground();
+  const recordSnapshot = bg.get('recordSnapshot');
+  const getHistory = bg.get('getHistory');
+
+  await recordSnapshot({ warehouseId: 'IND8', state: 'Ready', pickProcess: 'MultiSlamPicking', batches });
+  await recordSnapshot({ warehouseId: 'IND8', state: 'Ready', pickProcess: 'SinglesPicking', batches: batches.slice(1) });
+  await recordSnapshot({ warehouseId: 'IND8', state: 'Ready', pickProcess: null, batches: batches.slice(0, 1) });
+  await recordSnapshot({ warehouseId: 'SDF8', state: 'Ready', pickProcess: 'MultiSlamPicking', batches });
+
+  const multi = await getHistory('IND8', 'Ready', 'MultiSlamPicking');
+  const singles = await getHistory('IND8', 'Ready', 'SinglesPicking');
+  const all = await getHistory('IND8', 'Ready', null);
+
+  assert.deepStrictEqual(multi.map(snap => snap.aggregate.batchCount), [3]);
+  assert.deepStrictEqual(singles.map(snap => snap.aggregate.batchCount), [2]);
+  assert.deepStrictEqual(all.map(snap => [snap.pickProcess, snap.aggregate.batchCount]), [['', 1]]);
+});
+
+test('replaces the snapshot of a cycle when it is recorded again with its timestamp', async () => {
+  const bg = loadBackground();
+  const recordSnapshot = bg.get('recordSnapshot');
+  const key = { warehouseId: 'IND8', state: 'Ready', pickProcess: 'MultiSlamPicking' };
+
+  const first = await recordSnapshot({ ...key, batches: batches.slice(0, 1) });
+  await recordSnapshot({ ...key, batches, timestamp: first.timestamp });
+
+  const history = await bg.get('getHistory')('IND8', 'Ready', 'MultiSlamPicking');
+  assert.deepStrictEqual(history.map(snap => [snap.timestamp, snap.aggregate.batchCount]), [[first.timestamp, 3]]);
+});
+
+test('prunes snapshots older than the retention window', async () => {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  bg.get('settings').historyRetentionHours = 12;
+  const HistoryStore = bg.get('HistoryStore');
+  const key = { warehouseId: 'IND8', state: 'Ready', pickProcess: '' };
+  const aggregate = bg.get('summarizeBatches')(batches);
+
+  await HistoryStore.add({ ...key, timestamp: Date.now() - 13 * HOUR, batches, aggregate });
+  await HistoryStore.add({ ...key, timestamp: Date.now() - 11 * HOUR, batches, aggregate });
+  await bg.get('recordSnapshot')({ ...key, batches });
+
+  const stored = await HistoryStore.list('IND8', 'Ready', '', 0);
+  assert.strictEqual(stored.length, 2);
+  assert.ok(stored.every(snap => snap.timestamp > Date.now() - 12 * HOUR));
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/loadBackground');
+
+test('normalizes every supported weight unit to pounds', () => {
+  const Measurements = loadBackground().get('Measurements');
+  const pounds = text => Measurements.parseWeight(text).pounds;
+
+  assert.strictEqual(pounds('2.36 pounds'), 2.36);
+  assert.strictEqual(pounds('1 lb'), 1);
+  assert.strictEqual(pounds('8 oz'), 0.5);
+  assert.strictEqual(pounds('1.5 kg'), 3.30693);
+  assert.strictEqual(pounds('500g'), 1.10231);
+  assert.strictEqual(pounds('0,79 kilograms'), 1.74165);
+  assert.strictEqual(pounds('1,250 grams'), 2.75578);
+});
+
+test('reads thousands separators before decimal commas', () => {
+  const Measurements = loadBackground().get('Measurements');
+  const pounds = text => Measurements.parseWeight(text).pounds;
+
+  assert.strictEqual(pounds('1,234.56 lbs'), 1234.56);
+  assert.strictEqual(pounds('Gross 1,234.5 pounds'), 1234.5);
+  assert.strictEqual(pounds('1,234,567 g'), 2721.75433);
+  assert.strictEqual(pounds('12,5 kg'), 27.55778);
+  assert.strictEqual(pounds('.5 lb'), 0.5);
+  assert.deepStrictEqual(
+    plain(Measurements.parseDimensions('1,200 x 800 x 1,000.5 mm')),
+    { length: 47.24, width: 31.5, height: 39.39, volume: 58614.68 }
+  );
+});
+
+test('keeps heavy items instead of capping them', () => {
+  const Measurements = loadBackground().get('Measurements');
+
+  assert.strictEqual(Measurements.parseWeight('150 pounds').pounds, 150);
+  assert.strictEqual(Measurements.parseWeight('1200 lbs').pounds, 1200);
+});
+
+test('ignores bare numbers and things that only look like units', () => {
+  const Measurements = loadBackground().get('Measurements');
+
+  assert.strictEqual(Measurements.parseWeight('2.36'), null);
+  assert.strictEqual(Measurements.parseWeight('5G router'), null);
+  assert.strictEqual(Measurements.parseWeight('0 pounds'), null);
+  assert.deepStrictEqual(plain(Measurements.parseWeight('5G router, 300 g')), { value: 300, unit: 'g', pounds: 0.66139 });
+});
+
+test('formats weights in pounds or kilograms', () => {
+  const Measurements = loadBackground().get('Measurements');
+
+  assert.strictEqual(Measurements.formatWeight(2.36), '2.36 lbs');
+  assert.strictEqual(Measurements.formatWeight(2.20462262, 'kg'), '1.00 kg');
+  assert.strictEqual(Measurements.formatWeight(null, 'kg'), '—');
+});
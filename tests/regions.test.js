@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch } = require('./helpers/loadBackground');
+
+test('detects the region from any of its hosts', () => {
+  const Regions = loadBackground().get('Regions');
+
+  assert.strictEqual(Regions.fromHostname('picking-console.eu.picking.aft.a2z.com'), 'EU');
+  assert.strictEqual(Regions.fromHostname('rodeo-nrt.amazon.com'), 'FE');
+  assert.strictEqual(Regions.fromHostname('fcresearch-na.aka.amazon.com'), 'NA');
+  assert.strictEqual(Regions.fromHostname('localhost'), null);
+});
+
+test('sends requests to the hosts of the region a warehouse was seen in', async () => {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  const urls = [];
+  const fetchFixture = fixtureFetch({
+    'searchKey=50596849': readFixture('rodeo', 'search-50596849.html'),
+    '/results/product': readFixture('fcresearch', 'product-pounds.html')
+  });
+  bg.context.fetch = (url, options) => {
+    urls.push(url);
+    return fetchFixture(url, options);
+  };
+
+  bg.get('rememberWarehouseRegion')('DUS2', 'EU');
+  await bg.get('fetchRodeoRows')('50596849', 'DUS2');
+  await bg.get('fetchWeightFromFCResearch')('X0025W7YI3', 'DUS2');
+
+  assert.ok(urls.length > 0);
+  for (const url of urls) {
+    assert.match(new URL(url).hostname, /^(rodeo-dub\.amazon\.com|fcresearch-eu\.aka\.amazon\.com)$/);
+  }
+});
+
+test('sends even the first requests to the host override and registers the mock page script', async () => {
+  const bg = loadBackground({ local: { hostOverride: 'http://localhost:8642' } });
+  const urls = [];
+  const fetchFixture = fixtureFetch({ 'searchKey=50596849': readFixture('rodeo', 'search-50596849.html') });
+  bg.context.fetch = (url, options) => {
+    urls.push(url);
+    return fetchFixture(url, options);
+  };
+
+  // Called straight after load, before the override has been read from storage
+  const result = await bg.get('fetchRodeoRows')('50596849', 'IND8');
+
+  assert.ok(result.rows.length > 0);
+  assert.deepStrictEqual(urls, ['http://localhost:8642/IND8/Search?_enabledColumns=on&enabledColumns=LPN&searchKey=50596849']);
+  const scripts = bg.context.browser.scripting.registered;
+  assert.deepStrictEqual(scripts.map(script => [script.id, script.matches[0]]), [['mock-picking-console', 'http://localhost/fc/*']]);
+  assert.ok(scripts[0].js.includes('content/pickingConsole.js'));
+});
+
+test('uses the fallback region for warehouses not seen yet', () => {
+  const bg = loadBackground();
+
+  assert.strictEqual(bg.get('hostsForWarehouse')('IND8').rodeo, 'rodeo-iad.amazon.com');
+  assert.strictEqual(bg.get('fcResearchSearchUrl')('X0025W7YI3', 'IND8'),
+    'https://fcresearch-na.aka.amazon.com/IND8/results?s=X0025W7YI3');
+});
+
+test('validates the fallback region setting', () => {
+  const PcsSettings = loadBackground().get('PcsSettings');
+
+  assert.strictEqual(PcsSettings.validate({ region: 'eu' }).settings.region, 'EU');
+  assert.ok(PcsSettings.validate({ region: 'APAC' }).errors.region);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./helpers/loadBackground');
+
+// Fake fetch that answers each call with the next status in `statuses`
+function statusFetch(statuses, calls = []) {
+  return async (url) => {
+    calls.push({ url, at: Date.now() });
+    const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+    return { ok: status < 400, status, text: async () => '' };
+  };
+}
+
+async function loadScheduler(limits) {
+  const bg = loadBackground();
+  await bg.get('settingsReady');
+  const scheduler = bg.get('RequestScheduler');
+  scheduler.configure({ baseDelayMs: 10, maxDelayMs: 50, ...limits });
+  return { bg, scheduler };
+}
+
+test('retries 429 and 5xx responses until one succeeds', async () => {
+  const { bg, scheduler } = await loadScheduler({ maxRetries: 3, requestsPerSecond: 50 });
+  const calls = [];
+  bg.context.fetch = statusFetch([429, 503, 200], calls);
+
+  const response = await scheduler.schedule('https://fcresearch-na.aka.amazon.com/IND8/results/product');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(calls.length, 3);
+  const state = scheduler.getState();
+  assert.strictEqual(state.totals.retried, 2);
+  assert.strictEqual(state.totals.succeeded, 1);
+  assert.strictEqual(state.hosts['fcresearch-na.aka.amazon.com'].lastStatus, 200);
+});
+
+test('gives up after the retry limit and returns the last response', async () => {
+  const { bg, scheduler } = await loadScheduler({ maxRetries: 2, requestsPerSecond: 50 });
+  const calls = [];
+  bg.context.fetch = statusFetch([500], calls);
+
+  const response = await scheduler.schedule('https://rodeo-iad.amazon.com/IND8/Search?searchKey=1');
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(calls.length, 3);
+  assert.strictEqual(scheduler.getState().totals.failed, 1);
+});
+
+test('does not retry client errors', async () => {
+  const { bg, scheduler } = await loadScheduler({ maxRetries: 3 });
+  const calls = [];
+  bg.context.fetch = statusFetch([404], calls);
+
+  const response = await scheduler.schedule('https://rodeo-iad.amazon.com/IND8/Search?searchKey=1');
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('spaces requests to the same host but not across hosts', async () => {
+  const { bg, scheduler } = await loadScheduler({ requestsPerSecond: 10, concurrency: 5 });
+  const calls = [];
+  bg.context.fetch = statusFetch([200], calls);
+
+  await Promise.all([
+    scheduler.schedule('https://fcresearch-na.aka.amazon.com/a'),
+    scheduler.schedule('https://fcresearch-na.aka.amazon.com/b'),
+    scheduler.schedule('https://rodeo-iad.amazon.com/c')
+  ]);
+
+  const at = Object.fromEntries(calls.map(call => [new URL(call.url).pathname, call.at]));
+  assert.ok(at['/b'] - at['/a'] >= 90, `same-host gap was ${at['/b'] - at['/a']}ms`);
+  assert.ok(at['/c'] - at['/a'] < 50, `cross-host gap was ${at['/c'] - at['/a']}ms`);
+});
+
+test('cancelling a fetch job aborts running and queued requests', async () => {
+  const { bg, scheduler } = await loadScheduler({ concurrency: 1 });
+  const calls = [];
+  bg.context.fetch = (url, options) => {
+    calls.push(url);
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    });
+  };
+
+  const signal = bg.get('startFetchJob')('IND8:50600001:1');
+  const pending = bg.get('handleFetchBatchData')('50600001', 'IND8', signal);
+  const queued = scheduler.schedule('https://rodeo-iad.amazon.com/IND8/Search?searchKey=2', { signal });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.strictEqual(bg.get('cancelFetchJobs')(['IND8:50600001:1', 'unknown']), 1);
+
+  const result = await pending;
+  assert.strictEqual(result.cancelled, true);
+  await assert.rejects(queued, { name: 'AbortError' });
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(scheduler.getState().queued, 0);
+});
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, readFixture, fixtureFetch, plain } = require('./helpers/loadBackground');
+
+const capture = readFixture('rodeo', 'search-50596849.html');
+const captureExpected = JSON.parse(readFixture('rodeo', 'search-50596849.expected.json'));
+
+const pagedRoutes = {
+  'page=2': readFixture('rodeo', 'search-paged-2.html'),
+  'searchKey=50600001': readFixture('rodeo', 'search-paged-1.html'),
+  '/results/product': readFixture('fcresearch', 'product-pounds.html')
+};
+
+test('parses every row of the captured Rodeo search page', () => {
+  const bg = loadBackground();
+  const page = bg.get('parseRodeoPage')(capture);
+  const units = bg.get('expandRowsToUnits')(page.rows);
+
+  assert.strictEqual(page.rows.length, captureExpected.rowCount);
+  assert.strictEqual(units.length, captureExpected.units);
+  assert.strictEqual(new Set(units).size, captureExpected.uniqueSkus);
+  assert.deepStrictEqual([...new Set(page.rows.map(row => row.pickBatchId))], captureExpected.pickBatchIds);
+});
+
+test('extracts structured fields from the first and last captured rows', () => {
+  const bg = loadBackground();
+  const { rows } = bg.get('parseRodeoPage')(capture);
+
+  assert.deepStrictEqual(plain(rows[0]), captureExpected.firstRow);
+  assert.deepStrictEqual(plain(rows[rows.length - 1]), captureExpected.lastRow);
+});
+
+test('reads the pager bar of a single-page result', () => {
+  const bg = loadBackground();
+  const { pager } = bg.get('parseRodeoPage')(capture);
+
+  assert.deepStrictEqual(plain(pager), captureExpected.pager);
+});
+
+test('reads the next link of a multi-page result', () => {
+  const bg = loadBackground();
+  const { pager } = bg.get('parseRodeoPage')(pagedRoutes['searchKey=50600001']);
+
+  assert.deepStrictEqual(plain(pager), {
+    start: 1,
+    end: 2,
+    resultSize: 4,
+    nextHref: '/IND8/Search?searchKey=50600001&page=2'
+  });
+});
+
+test('expands rows by their Quantity column', () => {
+  const bg = loadBackground();
+  const { rows } = bg.get('parseRodeoPage')(pagedRoutes['searchKey=50600001']);
+
+  assert.deepStrictEqual(plain(bg.get('expandRowsToUnits')(rows)), [
+    'X0025W7YI3',
+    'X002ASJCEV',
+    'X002ASJCEV',
+    'X002ASJCEV'
+  ]);
+});
+
+test('follows the pager and merges rows from every page', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(pagedRoutes);
+
+  const result = await bg.get('fetchRodeoRows')('50600001', 'IND8');
+
+  assert.strictEqual(result.rows.length, 4);
+  assert.strictEqual(result.pagesFetched, 2);
+  assert.strictEqual(result.truncated, false);
+});
+
+test('reports truncation when a later page cannot be fetched', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch({ ...pagedRoutes, 'page=2': null });
+
+  const result = await bg.get('fetchRodeoRows')('50600001', 'IND8');
+
+  assert.strictEqual(result.rows.length, 2);
+  assert.strictEqual(result.truncated, true);
+});
+
+test('discards rows from other pick batches when computing batch stats', async () => {
+  const bg = loadBackground();
+  bg.context.fetch = fixtureFetch(pagedRoutes);
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.discardedRows, 1);
+  assert.strictEqual(result.totalItems, 6);
+  assert.strictEqual(result.uniqueSKUs, 3);
+  assert.strictEqual(result.averageWeight, 2.36);
+});
+
+test('keeps every row when the Rodeo results have no Pick Batch ID column', async () => {
+  const bg = loadBackground();
+  const fetchFixture = fixtureFetch(pagedRoutes);
+  bg.context.fetch = async (url, options) => {
+    const response = await fetchFixture(url, options);
+    const html = await response.text();
+    return { ...response, text: async () => html.replace('Pick Batch ID', 'Pick Batch') };
+  };
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.discardedRows, 0);
+  assert.strictEqual(result.totalItems, 7); // 6 units of the batch plus the row the column would have discarded
+});
+
+test('keeps a per-SKU breakdown sorted by line weight with missing weights last', async () => {
+  const bg = loadBackground();
+  const fetchFixture = fixtureFetch(pagedRoutes);
+  bg.context.fetch = (url, options = {}) => {
+    if (String(options.body).includes('X00244S751')) {
+      return fetchFixture('missing');
+    }
+    return fetchFixture(url, options);
+  };
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.deepStrictEqual(plain(result.lines).map(({ researchUrl, ...line }) => line), [
+    { fnsku: 'X002ASJCEV', quantity: 3, unitWeight: 2.36, lineWeight: 7.08, missing: false, fallback: false, outlier: false, override: false, overrideNote: null },
+    { fnsku: 'X0025W7YI3', quantity: 1, unitWeight: 2.36, lineWeight: 2.36, missing: false, fallback: false, outlier: false, override: false, overrideNote: null },
+    { fnsku: 'X00244S751', quantity: 2, unitWeight: null, lineWeight: null, missing: true, fallback: false, outlier: false, override: false, overrideNote: null }
+  ]);
+  assert.strictEqual(result.lines[0].researchUrl, 'https://fcresearch-na.aka.amazon.com/IND8/results?s=X002ASJCEV');
+  assert.strictEqual(result.coverage, 67);
+  assert.deepStrictEqual(plain(result.quality), {
+    flags: ['missing'],
+    missingItems: 2,
+    fallbackSKUs: [],
+    outlierSKUs: [],
+    overrideSKUs: []
+  });
+});
+
+test('flags fallback-pattern and outlier weights', async () => {
+  const bg = loadBackground();
+  const fetchFixture = fixtureFetch({
+    ...pagedRoutes,
+    'fixture:label-weight': readFixture('fcresearch', 'product-label-weight.html'),
+    'fixture:heavy': '<table class="product-table"><tr><th>FNSKU</th><td>X00244S751</td></tr>' +
+      '<tr><th>Weight</th><td>250 pounds</td></tr></table>'
+  });
+  bg.context.fetch = (url, options = {}) => {
+    if (String(options.body).includes('X0025W7YI3')) {
+      return fetchFixture('fixture:label-weight');
+    }
+    if (String(options.body).includes('X00244S751')) {
+      return fetchFixture('fixture:heavy');
+    }
+    return fetchFixture(url, options);
+  };
+
+  const result = await bg.get('handleFetchBatchData')('50600001', 'IND8');
+
+  assert.strictEqual(result.coverage, 100);
+  assert.deepStrictEqual(plain(result.quality), {
+    flags: ['fallback', 'outlier'],
+    missingItems: 0,
+    fallbackSKUs: ['X0025W7YI3'],
+    outlierSKUs: ['X00244S751'],
+    overrideSKUs: []
+  });
+  const flagged = Object.fromEntries(result.lines.map(line => [line.fnsku, [line.fallback, line.outlier]]));
+  assert.deepStrictEqual(flagged, { X00244S751: [false, true], X002ASJCEV: [false, false], X0025W7YI3: [true, false] });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/loadBackground');
+
+test('fills missing settings with defaults', () => {
+  const PcsSettings = loadBackground().get('PcsSettings');
+  const { settings, errors } = PcsSettings.validate({ concurrency: 8 });
+
+  assert.deepStrictEqual(plain(errors), {});
+  assert.deepStrictEqual(plain(settings), { ...plain(PcsSettings.DEFAULTS), concurrency: 8 });
+});
+
+test('accepts form strings and normalizes the warehouse ID', () => {
+  const PcsSettings = loadBackground().get('PcsSettings');
+  const { settings, errors } = PcsSettings.validate({
+    autoFetchMinutes: '10',
+    cacheMinutes: ' 60 ',
+    defaultWarehouse: 'sdf8',
+    debug: false
+  });
+
+  assert.deepStrictEqual(plain(errors), {});
+  assert.strictEqual(settings.autoFetchMinutes, 10);
+  assert.strictEqual(settings.cacheMinutes, 60);
+  assert.strictEqual(settings.defaultWarehouse, 'SDF8');
+  assert.strictEqual(settings.debug, false);
+});
+
+test('rejects out-of-range, fractional and malformed values', () => {
+  const PcsSettings = loadBackground().get('PcsSettings');
+  const { settings, errors } = PcsSettings.validate({
+    concurrency: 0,
+    autoFetchMinutes: '2.5',
+    tableRecheckMs: '',
+    defaultWarehouse: 'IND-8'
+  });
+
+  assert.deepStrictEqual(Object.keys(errors).sort(), ['autoFetchMinutes', 'concurrency', 'defaultWarehouse', 'tableRecheckMs']);
+  assert.deepStrictEqual(plain(settings), plain(PcsSettings.DEFAULTS));
+});
+
+test('matches choice fields case-insensitively', () => {
+  const PcsSettings = loadBackground().get('PcsSettings');
+  const { settings, errors } = PcsSettings.validate({ region: ' eu ', weightUnit: 'KG' });
+
+  assert.deepStrictEqual(plain(errors), {});
+  assert.strictEqual(settings.region, 'EU');
+  assert.strictEqual(settings.weightUnit, 'kg');
+
+  const invalid = PcsSettings.validate({ weightUnit: 'stone' });
+  assert.deepStrictEqual(Object.keys(invalid.errors), ['weightUnit']);
+  assert.strictEqual(invalid.settings.weightUnit, 'lbs');
+});
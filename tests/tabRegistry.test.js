@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, plain } = require('./helpers/loadBackground');
+
+const pickingTab = { id: 3, url: 'https://picking-console.na.picking.aft.a2z.com/fc/IND8/pick-batches', title: 'Pick batches' };
+const rodeoTab = { id: 4, url: 'https://rodeo-iad.amazon.com/IND8/Search', title: 'Rodeo' };
+
+function recordBadge(bg) {
+  const badge = {};
+  bg.context.browser.browserAction.setBadgeText = ({ text }) => { badge.text = text; };
+  return badge;
+}
+
+test('groups connected tabs by page type and counts Picking Console tabs on the badge', async () => {
+  const bg = loadBackground();
+  await bg.get('connectedTabsReady');
+  const badge = recordBadge(bg);
+
+  bg.get('registerTab')(pickingTab, 'pickingConsole', 'IND8');
+  bg.get('registerTab')(rodeoTab, 'rodeo', 'IND8');
+
+  const groups = plain(bg.get('connectedTabsByPage')());
+  assert.deepStrictEqual(groups.pickingConsole.map(tab => [tab.tabId, tab.warehouseId, tab.title]), [[3, 'IND8', 'Pick batches']]);
+  assert.deepStrictEqual(groups.rodeo.map(tab => tab.tabId), [4]);
+  assert.deepStrictEqual(groups.fcresearch, []);
+  assert.strictEqual(badge.text, '1');
+
+  bg.get('unregisterTab')(3, 'closed');
+  assert.strictEqual(badge.text, '');
+
+  bg.get('markSessionExpired')('rodeo', 'IND8');
+  assert.strictEqual(badge.text, '!');
+});
+
+test('drops a tab that stops answering after a navigation and follows in-page navigation', async () => {
+  const bg = loadBackground();
+  await bg.get('connectedTabsReady');
+  bg.get('registerTab')(pickingTab, 'pickingConsole', 'IND8');
+  bg.get('registerTab')(rodeoTab, 'rodeo', 'IND8');
+
+  bg.context.browser.tabs.sendMessage = async (tabId) => {
+    if (tabId === 4) throw new Error('Could not establish connection. Receiving end does not exist.');
+    return { pong: true, page: 'pickingConsole', warehouseId: 'SDF8' };
+  };
+  await bg.get('verifyTab')(3, { ...pickingTab, url: 'https://picking-console.na.picking.aft.a2z.com/fc/SDF8/pick-batches' });
+  await bg.get('verifyTab')(4, { ...rodeoTab, url: 'https://example.com/' });
+
+  const groups = plain(bg.get('connectedTabsByPage')());
+  assert.deepStrictEqual(groups.pickingConsole.map(tab => tab.warehouseId), ['SDF8']);
+  assert.deepStrictEqual(groups.rodeo, []);
+});
+
+test('keeps a reloaded tab whose content script answers a later ping', async () => {
+  const bg = loadBackground();
+  await bg.get('connectedTabsReady');
+  bg.get('registerTab')(pickingTab, 'pickingConsole', 'IND8');
+  const badges = [];
+  bg.context.browser.browserAction.setBadgeText = ({ text }) => badges.push(text);
+
+  let pings = 0;
+  bg.context.browser.tabs.sendMessage = async () => {
+    if (++pings === 1) throw new Error('Could not establish connection. Receiving end does not exist.');
+    return { pong: true, page: 'pickingConsole', warehouseId: 'IND8' };
+  };
+  await bg.get('verifyTab')(3, pickingTab);
+
+  assert.strictEqual(pings, 2);
+  assert.deepStrictEqual([...bg.get('connectedTabs').keys()], [3]);
+  assert.deepStrictEqual(badges, []);
+});
+
+test('restores the registry after a restart without tabs that have closed', async () => {
+  const first = loadBackground();
+  await first.get('connectedTabsReady');
+  first.get('registerTab')(pickingTab, 'pickingConsole', 'IND8');
+  first.get('registerTab')(rodeoTab, 'rodeo', 'IND8');
+  const stored = await first.context.browser.storage.local.get('connectedTabs');
+
+  const bg = loadBackground();
+  bg.context.browser.storage.local.get = async () => plain(stored);
+  bg.context.browser.tabs.query = async () => [{ id: 3 }];
+  await bg.get('restoreConnectedTabs')();
+
+  assert.deepStrictEqual([...bg.get('connectedTabs').keys()], [3]);
+});